@@ -0,0 +1,475 @@
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+// ===== PAYLOAD ENCRYPTION =====
+//
+// Envelope encryption of task payloads at rest. Every account gets a random AES-256-GCM data
+// key; data keys are stored wrapped by the master key in AGENTLOG_MASTER_KEY, so a copy of the
+// database alone decrypts nothing. Encrypted values look like enc:v2:<key id>:<base64>, anything
+// else is plaintext (written before encryption was enabled, or with it disabled).
+//
+// Each value is sealed with the account, column and row it's stored under as additional data,
+// so a ciphertext copied to another row, column or account fails to decrypt there. enc:v1:
+// values predate that and stay readable until `node encryption.js reencrypt` upgrades them.
+//
+// To change the master key, start with the new one in AGENTLOG_MASTER_KEY and the old one in
+// AGENTLOG_MASTER_KEY_PREVIOUS, then run `node encryption.js rewrap`.
+
+const PAYLOAD_COLUMNS = ['prompt', 'completion', 'original_request', 'error'];
+const CIPHERTEXT_PREFIX = 'enc:v2:';
+const LEGACY_CIPHERTEXT_PREFIX = 'enc:v1:';
+// Matches both versions in SQL LIKE patterns
+const CIPHERTEXT_LIKE = 'enc:v_:';
+// How long a process keeps using an account's active key before looking again, so keys
+// rotated by the CLI are picked up by a running server
+const ACTIVE_KEY_TTL_MS = 60 * 1000;
+const DEFAULT_BATCH_SIZE = 500;
+
+// 32 bytes, as 64 hex characters or base64
+function parseMasterKey(value, name) {
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) throw new Error(`${name} must be 32 bytes, given as 64 hex characters or base64`);
+  return key;
+}
+
+// Wrapped keys record which master key they need by its fingerprint
+function masterKeyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+const MASTER_KEY = parseMasterKey(process.env.AGENTLOG_MASTER_KEY, 'AGENTLOG_MASTER_KEY');
+const MASTER_KEY_ID = MASTER_KEY && masterKeyId(MASTER_KEY);
+const MASTER_KEYS = new Map(
+  [MASTER_KEY, parseMasterKey(process.env.AGENTLOG_MASTER_KEY_PREVIOUS, 'AGENTLOG_MASTER_KEY_PREVIOUS')]
+    .filter(Boolean)
+    .map(key => [masterKeyId(key), key])
+);
+
+const dataKeys = new Map();
+const activeKeys = new Map();
+const warnedKeys = new Set();
+
+// iv (12 bytes) + auth tag (16 bytes) + ciphertext
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  if (aad) cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+function unseal(key, sealed, aad) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, sealed.subarray(0, 12));
+  if (aad) decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(sealed.subarray(12, 28));
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && (value.startsWith(CIPHERTEXT_PREFIX) || value.startsWith(LEGACY_CIPHERTEXT_PREFIX));
+}
+
+function encryptionEnabled() {
+  return !!MASTER_KEY;
+}
+
+function payloadKeyId(value) {
+  return isEncrypted(value) ? value.slice(CIPHERTEXT_PREFIX.length, value.indexOf(':', CIPHERTEXT_PREFIX.length)) : null;
+}
+
+// Unwrapped data key by id, or null when its master key isn't configured
+function getDataKey(db, keyId) {
+  if (dataKeys.has(keyId)) return dataKeys.get(keyId);
+  
+  const row = db.prepare('SELECT wrapped_key, master_key_id FROM data_keys WHERE id = ?').get(keyId);
+  const masterKey = row && MASTER_KEYS.get(row.master_key_id);
+  if (!masterKey) return null;
+  
+  const key = unseal(masterKey, Buffer.from(row.wrapped_key, 'base64'), keyId);
+  dataKeys.set(keyId, key);
+  return key;
+}
+
+function createDataKey(db, accountId) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const key = crypto.randomBytes(32);
+  db.prepare(`
+    INSERT INTO data_keys (id, account_id, wrapped_key, master_key_id, status, created_at)
+    VALUES (?, ?, ?, ?, 'active', ?)
+  `).run(id, accountId, seal(MASTER_KEY, key, id).toString('base64'), MASTER_KEY_ID, new Date().toISOString());
+  dataKeys.set(id, key);
+  return { id, key };
+}
+
+// The key new payloads of an account are encrypted with, created on first use
+function getActiveDataKey(db, accountId) {
+  const cached = activeKeys.get(accountId);
+  if (cached && Date.now() - cached.loadedAt < ACTIVE_KEY_TTL_MS) return cached;
+  
+  const row = db.prepare(`
+    SELECT id FROM data_keys WHERE account_id = ? AND status = 'active' AND master_key_id = ?
+    ORDER BY created_at DESC LIMIT 1
+  `).get(accountId, MASTER_KEY_ID);
+  const active = row ? { id: row.id, key: getDataKey(db, row.id) } : createDataKey(db, accountId);
+  activeKeys.set(accountId, { ...active, loadedAt: Date.now() });
+  return active;
+}
+
+// Where a payload is stored: the account that owns it, its table.column and its row's key
+function payloadAad({ accountId, column, rowId }) {
+  return `${accountId}\n${column}\n${rowId}`;
+}
+
+function taskPayloadContext(accountId, taskId, column) {
+  return { accountId, column: `tasks.${column}`, rowId: taskId };
+}
+
+// Encrypt one payload value for the account, column and row in context (see payloadAad).
+// A no-op without a master key, and for empty values. Text that merely looks like ciphertext
+// is encrypted like any other.
+function encryptPayload(db, context, value) {
+  if (!MASTER_KEY || !context.accountId || typeof value !== 'string' || !value) return value;
+  const { id, key } = getActiveDataKey(db, context.accountId);
+  return `${CIPHERTEXT_PREFIX}${id}:${seal(key, Buffer.from(value, 'utf8'), payloadAad(context)).toString('base64')}`;
+}
+
+// Plaintext passes through, and so does text shaped like ciphertext whose key id isn't one of
+// ours. Values whose key is unavailable (missing or wrong master key) or that were sealed for
+// another context come back as null rather than as ciphertext.
+function decryptPayload(db, value, context) {
+  if (!isEncrypted(value)) return value;
+  const keyId = payloadKeyId(value);
+  const legacy = value.startsWith(LEGACY_CIPHERTEXT_PREFIX);
+  try {
+    const key = getDataKey(db, keyId);
+    const sealed = Buffer.from(value.slice(CIPHERTEXT_PREFIX.length + keyId.length + 1), 'base64');
+    if (key) return unseal(key, sealed, legacy ? undefined : payloadAad(context)).toString('utf8');
+  } catch (error) {
+    // Falls through to the warning below
+  }
+  if (!db.prepare('SELECT 1 FROM data_keys WHERE id = ?').get(keyId)) return value;
+  if (!warnedKeys.has(keyId)) {
+    warnedKeys.add(keyId);
+    console.warn(`[CRYPTO] Cannot decrypt payloads under data key ${keyId}; is AGENTLOG_MASTER_KEY set correctly?`);
+  }
+  return null;
+}
+
+// Decrypt the payload columns of a task row in place. Rows need their id, and their account_id
+// unless it's passed in.
+function decryptTask(db, task, accountId = task?.account_id) {
+  if (!task) return task;
+  for (const column of PAYLOAD_COLUMNS) {
+    if (column in task) task[column] = decryptPayload(db, task[column], taskPayloadContext(accountId, task.id, column));
+  }
+  return task;
+}
+
+// Seal an account's payloads for the account they're moving to, before its rows are reassigned.
+// Payloads that can't be decrypted (no master key, or already unreadable) are left as they are.
+function rebindPayloads(db, fromAccountId, toAccountId) {
+  if (!MASTER_KEY) return;
+  const encrypted = column => `${column} LIKE '${CIPHERTEXT_LIKE}%'`;
+  const rebind = (value, from, to) => {
+    if (!isEncrypted(value)) return value;
+    const plaintext = decryptPayload(db, value, from);
+    return plaintext === null ? value : encryptPayload(db, to, plaintext);
+  };
+  
+  const tasks = db.prepare(`
+    SELECT id, ${PAYLOAD_COLUMNS.join(', ')} FROM tasks WHERE account_id = ? AND (${PAYLOAD_COLUMNS.map(encrypted).join(' OR ')})
+  `).all(fromAccountId);
+  const updateTask = db.prepare(`UPDATE tasks SET ${PAYLOAD_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`);
+  for (const task of tasks) {
+    updateTask.run(...PAYLOAD_COLUMNS.map(column => rebind(
+      task[column], taskPayloadContext(fromAccountId, task.id, column), taskPayloadContext(toAccountId, task.id, column)
+    )), task.id);
+  }
+  
+  // Events carry a copy of their task's error
+  const events = db.prepare(`SELECT id, data FROM task_events WHERE account_id = ? AND data LIKE '%"error":"${CIPHERTEXT_LIKE}%'`).all(fromAccountId);
+  const updateEvent = db.prepare('UPDATE task_events SET data = ? WHERE id = ?');
+  for (const event of events) {
+    const data = JSON.parse(event.data);
+    data.error = rebind(data.error, taskPayloadContext(fromAccountId, data.id, 'error'), taskPayloadContext(toAccountId, data.id, 'error'));
+    updateEvent.run(JSON.stringify(data), event.id);
+  }
+  
+  const entries = db.prepare(`
+    SELECT cache_key, response, completion FROM response_cache WHERE account_id = ? AND (${encrypted('response')} OR ${encrypted('completion')})
+  `).all(fromAccountId);
+  const updateEntry = db.prepare('UPDATE response_cache SET response = ?, completion = ? WHERE account_id = ? AND cache_key = ?');
+  for (const entry of entries) {
+    updateEntry.run(...['response', 'completion'].map(column => rebind(
+      entry[column],
+      { accountId: fromAccountId, column: `response_cache.${column}`, rowId: entry.cache_key },
+      { accountId: toAccountId, column: `response_cache.${column}`, rowId: entry.cache_key }
+    )), fromAccountId, entry.cache_key);
+  }
+}
+
+// ===== KEY ROTATION =====
+
+// Retire the accounts' active data keys and give each a new one. Rows keep their old key
+// until reencryptPayloads() rewrites them; retired keys stay readable until pruned.
+function rotateDataKeys(db, { accountId } = {}) {
+  if (!MASTER_KEY) throw new Error('AGENTLOG_MASTER_KEY is not set');
+  const accounts = accountId
+    ? [accountId]
+    : db.prepare(`SELECT DISTINCT account_id FROM data_keys WHERE status = 'active'`).all().map(row => row.account_id);
+  
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    for (const account of accounts) {
+      db.prepare(`UPDATE data_keys SET status = 'retired', retired_at = ? WHERE account_id = ? AND status = 'active'`).run(now, account);
+      activeKeys.delete(account);
+      createDataKey(db, account);
+    }
+  })();
+  return accounts.length;
+}
+
+// One row's values sealed under its account's active key: the new values, null when there is
+// nothing to do, or false when one of them can't be decrypted
+function reencryptValues(db, accountId, values, contexts) {
+  if (!accountId || values.every(value => !value)) return null;
+  
+  const activeId = getActiveDataKey(db, accountId).id;
+  if (values.every(value => !value || (value.startsWith(CIPHERTEXT_PREFIX) && payloadKeyId(value) === activeId))) return null;
+  
+  const plaintext = values.map((value, i) => decryptPayload(db, value, contexts[i]));
+  if (plaintext.some((value, i) => values[i] && value === null)) return false;
+  return plaintext.map((value, i) => encryptPayload(db, contexts[i], value));
+}
+
+// Walk a table by rowid, batchSize rows per transaction; rewrite(row) returns reencryptValues()'s result
+function reencryptTable(db, { select, params, batchSize, totals, onBatch, rewrite }) {
+  let lastRowid = 0;
+  while (true) {
+    const rows = select.all(lastRowid, ...params, batchSize);
+    if (rows.length === 0) break;
+    lastRowid = rows[rows.length - 1]._rowid;
+    
+    db.transaction(() => {
+      for (const row of rows) {
+        const result = rewrite(row);
+        if (result === false) totals.failed++;
+        if (result) totals.updated++;
+      }
+    })();
+    
+    totals.scanned += rows.length;
+    if (onBatch) onBatch(totals);
+    if (rows.length < batchSize) break;
+  }
+}
+
+// Rewrite every payload that is plaintext, enc:v1: or under a key other than its account's
+// active one: task columns, the error copied into task events, and cached responses.
+// Safe to interrupt and run again.
+function reencryptPayloads(db, { accountId, batchSize = DEFAULT_BATCH_SIZE, onBatch } = {}) {
+  if (!MASTER_KEY) throw new Error('AGENTLOG_MASTER_KEY is not set');
+  const ownerScope = accountId ? 'AND (api_key_id = ? OR account_id = ?)' : '';
+  const ownerParams = accountId ? [accountId, accountId] : [];
+  const totals = { scanned: 0, updated: 0, failed: 0 };
+  
+  const updateTask = db.prepare(`UPDATE tasks SET ${PAYLOAD_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE rowid = ?`);
+  reencryptTable(db, {
+    select: db.prepare(`
+      SELECT rowid as _rowid, id, account_id, ${PAYLOAD_COLUMNS.join(', ')} FROM tasks
+      WHERE rowid > ? ${ownerScope}
+      ORDER BY rowid
+      LIMIT ?
+    `),
+    params: ownerParams,
+    batchSize,
+    totals,
+    onBatch,
+    rewrite: row => {
+      const values = reencryptValues(
+        db, row.account_id,
+        PAYLOAD_COLUMNS.map(column => row[column]),
+        PAYLOAD_COLUMNS.map(column => taskPayloadContext(row.account_id, row.id, column))
+      );
+      if (values) updateTask.run(...values, row._rowid);
+      return values;
+    }
+  });
+  
+  const updateEvent = db.prepare('UPDATE task_events SET data = ? WHERE id = ?');
+  reencryptTable(db, {
+    select: db.prepare(`
+      SELECT id as _rowid, account_id, data FROM task_events
+      WHERE id > ? AND data LIKE '%"error":"%' ${ownerScope}
+      ORDER BY id
+      LIMIT ?
+    `),
+    params: ownerParams,
+    batchSize,
+    totals,
+    onBatch,
+    rewrite: event => {
+      const data = JSON.parse(event.data);
+      const values = reencryptValues(db, event.account_id, [data.error], [taskPayloadContext(event.account_id, data.id, 'error')]);
+      if (values) updateEvent.run(JSON.stringify({ ...data, error: values[0] }), event._rowid);
+      return values;
+    }
+  });
+  
+  const updateEntry = db.prepare('UPDATE response_cache SET response = ?, completion = ? WHERE rowid = ?');
+  reencryptTable(db, {
+    select: db.prepare(`
+      SELECT rowid as _rowid, account_id, cache_key, response, completion FROM response_cache
+      WHERE rowid > ? ${accountId ? 'AND account_id = ?' : ''}
+      ORDER BY rowid
+      LIMIT ?
+    `),
+    params: accountId ? [accountId] : [],
+    batchSize,
+    totals,
+    onBatch,
+    rewrite: entry => {
+      const values = reencryptValues(
+        db, entry.account_id,
+        [entry.response, entry.completion],
+        ['response', 'completion'].map(column => ({ accountId: entry.account_id, column: `response_cache.${column}`, rowId: entry.cache_key }))
+      );
+      if (values) updateEntry.run(...values, entry._rowid);
+      return values;
+    }
+  });
+  
+  return totals;
+}
+
+// Wrap data keys held under AGENTLOG_MASTER_KEY_PREVIOUS with the current master key.
+// Payloads are untouched; only the small data_keys rows change.
+function rewrapDataKeys(db) {
+  if (!MASTER_KEY) throw new Error('AGENTLOG_MASTER_KEY is not set');
+  const keys = db.prepare('SELECT id, master_key_id FROM data_keys WHERE master_key_id != ?').all(MASTER_KEY_ID);
+  const result = { rewrapped: 0, unavailable: 0 };
+  
+  db.transaction(() => {
+    for (const { id } of keys) {
+      const key = getDataKey(db, id);
+      if (!key) {
+        result.unavailable++;
+        continue;
+      }
+      db.prepare('UPDATE data_keys SET wrapped_key = ?, master_key_id = ? WHERE id = ?')
+        .run(seal(MASTER_KEY, key, id).toString('base64'), MASTER_KEY_ID, id);
+      result.rewrapped++;
+    }
+  })();
+  return result;
+}
+
+// Delete retired keys that no payload, task event or cached response uses any more. Keys retired
+// within the last few minutes are kept, since a running server may still be writing with them.
+function pruneDataKeys(db) {
+  const cutoff = new Date(Date.now() - 5 * ACTIVE_KEY_TTL_MS).toISOString();
+  const retired = db.prepare(`SELECT id FROM data_keys WHERE status = 'retired' AND retired_at < ?`).all(cutoff);
+  const inUse = db.prepare(`
+    SELECT 1 FROM tasks WHERE ${PAYLOAD_COLUMNS.map(column => `${column} LIKE @pattern`).join(' OR ')}
+    UNION ALL
+    SELECT 1 FROM task_events WHERE data LIKE '%"error":"' || @pattern
+    UNION ALL
+    SELECT 1 FROM response_cache WHERE response LIKE @pattern OR completion LIKE @pattern
+    LIMIT 1
+  `);
+  
+  let pruned = 0;
+  for (const { id } of retired) {
+    if (inUse.get({ pattern: `${CIPHERTEXT_LIKE}${id}:%` })) continue;
+    db.prepare('DELETE FROM data_keys WHERE id = ?').run(id);
+    dataKeys.delete(id);
+    pruned++;
+  }
+  return { retired: retired.length, pruned };
+}
+
+function getEncryptionStatus(db) {
+  const keys = db.prepare(`
+    SELECT status, master_key_id, COUNT(*) as count FROM data_keys GROUP BY status, master_key_id
+  `).all().map(row => ({ ...row, master_key_available: MASTER_KEYS.has(row.master_key_id) }));
+  const encrypted = PAYLOAD_COLUMNS.map(column => `COALESCE(${column}, '') LIKE '${CIPHERTEXT_LIKE}%'`).join(' OR ');
+  const hasPayload = PAYLOAD_COLUMNS.map(column => `COALESCE(${column}, '') != ''`).join(' OR ');
+  const tasks = db.prepare(`
+    SELECT
+      SUM(CASE WHEN ${encrypted} THEN 1 ELSE 0 END) as encrypted,
+      SUM(CASE WHEN NOT (${encrypted}) AND (${hasPayload}) THEN 1 ELSE 0 END) as plaintext
+    FROM tasks
+  `).get();
+  return { enabled: !!MASTER_KEY, master_key_id: MASTER_KEY_ID, keys, tasks: { encrypted: tasks.encrypted || 0, plaintext: tasks.plaintext || 0 } };
+}
+
+module.exports = {
+  PAYLOAD_COLUMNS,
+  encryptionEnabled,
+  encryptPayload,
+  decryptPayload,
+  decryptTask,
+  taskPayloadContext,
+  rebindPayloads,
+  rotateDataKeys,
+  reencryptPayloads,
+  rewrapDataKeys,
+  pruneDataKeys,
+  getEncryptionStatus
+};
+
+// CLI: node encryption.js [status | rotate | reencrypt | rewrap | prune] [--account <id>] [--batch-size <n>]
+if (require.main === module) {
+  const [command = 'status', ...flags] = process.argv.slice(2);
+  const flag = name => {
+    const i = flags.indexOf(name);
+    return i >= 0 ? flags[i + 1] : undefined;
+  };
+  const dbPath = process.env.DATABASE_PATH || './agentlog.db';
+  
+  if (!['status', 'rotate', 'reencrypt', 'rewrap', 'prune'].includes(command)) {
+    console.error('Usage: node encryption.js [status | rotate | reencrypt | rewrap | prune] [--account <id>] [--batch-size <n>]');
+    process.exit(1);
+  }
+  
+  let db;
+  try {
+    db = new Database(dbPath, { fileMustExist: true });
+  } catch (error) {
+    console.error(`Cannot open ${dbPath}: ${error.message}`);
+    process.exit(1);
+  }
+  
+  try {
+    const accountId = flag('--account');
+    const batchSize = parseInt(flag('--batch-size')) || DEFAULT_BATCH_SIZE;
+    const progress = totals => console.log(`  ${totals.scanned} rows scanned, ${totals.updated} re-encrypted`);
+    
+    if (command === 'status') {
+      const status = getEncryptionStatus(db);
+      console.log(`Database: ${dbPath}`);
+      console.log(`Encryption: ${status.enabled ? `enabled (master key ${status.master_key_id})` : 'disabled, AGENTLOG_MASTER_KEY is not set'}`);
+      status.keys.forEach(k => console.log(`  ${String(k.count).padStart(6)} ${k.status.padEnd(8)} data keys under master ${k.master_key_id}${k.master_key_available ? '' : ' (not configured)'}`));
+      console.log(`Tasks: ${status.tasks.encrypted} encrypted, ${status.tasks.plaintext} with plaintext payloads`);
+    } else if (command === 'rotate') {
+      console.log(`Rotated data keys of ${rotateDataKeys(db, { accountId })} accounts`);
+      const totals = reencryptPayloads(db, { accountId, batchSize, onBatch: progress });
+      console.log(`Re-encrypted ${totals.updated} rows${totals.failed ? `; ${totals.failed} could not be decrypted` : ''}`);
+    } else if (command === 'reencrypt') {
+      const totals = reencryptPayloads(db, { accountId, batchSize, onBatch: progress });
+      console.log(`Re-encrypted ${totals.updated} rows${totals.failed ? `; ${totals.failed} could not be decrypted` : ''}`);
+    } else if (command === 'rewrap') {
+      const result = rewrapDataKeys(db);
+      console.log(`Rewrapped ${result.rewrapped} data keys${result.unavailable ? `; ${result.unavailable} need a master key that isn't configured` : ''}`);
+    } else {
+      const result = pruneDataKeys(db);
+      console.log(`Pruned ${result.pruned} of ${result.retired} retired data keys`);
+    }
+  } catch (error) {
+    console.error(`Encryption ${command} failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}
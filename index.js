@@ -2,169 +2,352 @@ const express = require('express');
 const cors = require('cors');
 const Database = require('better-sqlite3');
 const crypto = require('crypto');
+const fs = require('fs');
+const dns = require('dns');
+const net = require('net');
+const readline = require('readline');
+const { EventEmitter } = require('events');
+const { Agent } = require('undici');
+const { migrate } = require('./migrations');
+const { encryptPayload, decryptPayload, decryptTask, taskPayloadContext, rebindPayloads } = require('./encryption');
 
 const app = express();
-app.use(cors());
-app.use(express.json());
+// Browser dashboards read the pagination cursor from a response header
+app.use(cors({ exposedHeaders: ['X-Next-Cursor'] }));
 
-// Initialize SQLite database
+// OTLP batches and multimodal requests easily exceed the 100kb default, so those routes parse
+// their own bodies with a larger limit; the trace receiver only after authenticating.
+const LARGE_BODY_ROUTES = new Set(['/v1/traces', '/v1/chat/completions', '/v1/responses', '/v1/messages']);
+const LARGE_BODY_LIMIT = '10mb';
+const jsonBody = express.json();
+const largeJsonBody = express.json({ limit: LARGE_BODY_LIMIT });
+app.use((req, res, next) => LARGE_BODY_ROUTES.has(req.path) ? next() : jsonBody(req, res, next));
+
+// Initialize SQLite database and apply pending schema migrations (see migrations.js)
 const dbPath = process.env.DATABASE_PATH || './agentlog.db';
 const db = new Database(dbPath);
+migrate(db);
 
-// Create tables
-db.exec(`
-  CREATE TABLE IF NOT EXISTS api_keys (
-    id TEXT PRIMARY KEY,
-    key TEXT UNIQUE NOT NULL,
-    name TEXT DEFAULT 'Default',
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    last_used_at TEXT
-  );
-  
-  -- NEW: Account system based on provider key hashes
-  CREATE TABLE IF NOT EXISTS accounts (
-    id TEXT PRIMARY KEY,
-    key_hash TEXT NOT NULL,
-    provider TEXT NOT NULL,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    last_seen_at TEXT
-  );
-  
-  CREATE INDEX IF NOT EXISTS idx_accounts_key_hash ON accounts(key_hash);
-  
-  CREATE TABLE IF NOT EXISTS tasks (
-    id TEXT PRIMARY KEY,
-    api_key_id TEXT,
-    account_id TEXT,
-    agent_name TEXT NOT NULL,
-    description TEXT NOT NULL,
-    status TEXT NOT NULL CHECK (status IN ('pending', 'running', 'success', 'failed', 'slow')),
-    started_at TEXT,
-    completed_at TEXT,
-    duration_ms INTEGER NOT NULL,
-    cost REAL DEFAULT 0,
-    error TEXT,
-    provider TEXT DEFAULT 'custom',
-    metadata TEXT DEFAULT '{}',
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    -- Full request/response logging
-    model TEXT,
-    prompt TEXT,
-    completion TEXT,
-    tokens_in INTEGER DEFAULT 0,
-    tokens_out INTEGER DEFAULT 0,
-    -- Trace support (parent-child relationships)
-    trace_id TEXT,
-    parent_id TEXT,
-    span_name TEXT,
-    -- Prompt versioning
-    prompt_version TEXT,
-    prompt_template_id TEXT,
-    -- Original request for replay
-    original_request TEXT
-  );
-  
-  -- Prompt templates for versioning
-  CREATE TABLE IF NOT EXISTS prompt_templates (
-    id TEXT PRIMARY KEY,
-    api_key_id TEXT,
-    account_id TEXT,
-    name TEXT NOT NULL,
-    template TEXT NOT NULL,
-    variables TEXT DEFAULT '[]',
-    version INTEGER DEFAULT 1,
-    is_active INTEGER DEFAULT 1,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    metrics TEXT DEFAULT '{}'
-  );
-  
-  CREATE INDEX IF NOT EXISTS idx_tasks_api_key ON tasks(api_key_id);
-  CREATE INDEX IF NOT EXISTS idx_tasks_account_id ON tasks(account_id);
-  CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at);
-  CREATE INDEX IF NOT EXISTS idx_tasks_trace_id ON tasks(trace_id);
-  CREATE INDEX IF NOT EXISTS idx_tasks_parent_id ON tasks(parent_id);
-  CREATE INDEX IF NOT EXISTS idx_prompt_templates_api_key ON prompt_templates(api_key_id);
-  CREATE INDEX IF NOT EXISTS idx_tasks_running ON tasks(status) WHERE status IN ('pending', 'running');
-`);
-
-// Create default API key if none exists (for backward compatibility)
+// Create default API key if none exists (for backward compatibility). Keys are stored hashed,
+// so this log line is the only place the default key is ever shown.
 const existingKey = db.prepare('SELECT * FROM api_keys LIMIT 1').get();
 if (!existingKey) {
+  const id = crypto.randomUUID();
   const defaultKey = 'agentlog_' + crypto.randomBytes(16).toString('hex');
-  db.prepare('INSERT INTO api_keys (id, key, name) VALUES (?, ?, ?)').run(
-    crypto.randomUUID(),
-    defaultKey,
-    'Default Key'
+  db.prepare('INSERT INTO api_keys (id, key_hash, key_prefix, name, account_id) VALUES (?, ?, ?, ?, ?)').run(
+    id,
+    hashKey(defaultKey),
+    defaultKey.substring(0, 13),
+    'Default Key',
+    id
   );
   console.log('Created default API key:', defaultKey);
 }
 
-// ===== HELPERS =====
+// ===== PROVIDER REGISTRY =====
 
-// Detect provider from API key prefix
-function detectProviderFromKey(key) {
-  if (!key) return null;
+// Built-in providers. Each has a base URL, a wire format (openai | anthropic | gemini),
+// an auth style (bearer | x-api-key | api-key | query | none), key prefixes and model patterns.
+const DEFAULT_PROVIDERS = {
+  openai: { base_url: 'https://api.openai.com/v1', format: 'openai', auth: 'bearer', key_prefixes: ['sk-'], models: ['gpt-*', 'o1*', 'text-embedding-3*', 'text-embedding-ada*', '*openai*'] },
+  anthropic: { base_url: 'https://api.anthropic.com/v1', format: 'anthropic', auth: 'x-api-key', key_prefixes: ['sk-ant-'], models: ['claude-*'] },
+  google: { base_url: 'https://generativelanguage.googleapis.com/v1beta', format: 'gemini', auth: 'query', key_prefixes: ['AIza'], models: ['gemini-*', 'text-embedding-00*', 'embedding-*'] },
+  xai: { base_url: 'https://api.x.ai/v1', format: 'openai', auth: 'bearer', key_prefixes: ['xai-'], models: ['grok-*'] },
+  openrouter: { base_url: 'https://openrouter.ai/api/v1', format: 'openai', auth: 'bearer', key_prefixes: ['sk-or-'], models: ['*/*'], verify_path: '/key' }
+};
+
+const PROVIDER_FORMATS = ['openai', 'anthropic', 'gemini'];
+const PROVIDER_AUTH_STYLES = ['bearer', 'x-api-key', 'api-key', 'query', 'none'];
+const DEFAULT_AUTH_BY_FORMAT = { openai: 'bearer', anthropic: 'x-api-key', gemini: 'query' };
+
+function globToRegExp(pattern) {
+  const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${escaped.join('.*')}$`, 'i');
+}
+
+// Provider config comes from AGENTLOG_PROVIDERS_FILE (path to JSON) and AGENTLOG_PROVIDERS (inline JSON),
+// either shaped { providers: { name: {...} }, default_provider } or a bare { name: {...} } map.
+// Entries merge over the built-ins, and AGENTLOG_PROVIDER_<NAME>_BASE_URL overrides one base URL.
+function loadProviderRegistry() {
+  const sources = [];
+  if (process.env.AGENTLOG_PROVIDERS_FILE) {
+    sources.push(JSON.parse(fs.readFileSync(process.env.AGENTLOG_PROVIDERS_FILE, 'utf8')));
+  }
+  if (process.env.AGENTLOG_PROVIDERS) {
+    sources.push(JSON.parse(process.env.AGENTLOG_PROVIDERS));
+  }
+  
+  const configured = {};
+  let defaultProvider = 'openai';
+  for (const source of sources) {
+    const entries = source.providers || source;
+    for (const [name, config] of Object.entries(entries)) {
+      if (name === 'default_provider') continue;
+      configured[name] = { ...configured[name], ...config };
+    }
+    if (source.default_provider) defaultProvider = source.default_provider;
+  }
   
-  // OpenAI keys: sk-... (but not sk-ant-)
-  if (key.startsWith('sk-') && !key.startsWith('sk-ant-')) return 'openai';
+  const providers = {};
+  for (const name of new Set([...Object.keys(DEFAULT_PROVIDERS), ...Object.keys(configured)])) {
+    const config = { ...DEFAULT_PROVIDERS[name], ...configured[name] };
+    const envBaseUrl = process.env[`AGENTLOG_PROVIDER_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_BASE_URL`];
+    if (envBaseUrl) config.base_url = envBaseUrl;
+    
+    if (!config.base_url) throw new Error(`Provider "${name}" is missing base_url`);
+    if (!PROVIDER_FORMATS.includes(config.format)) {
+      throw new Error(`Provider "${name}" has invalid format "${config.format}". Must be: ${PROVIDER_FORMATS.join(', ')}`);
+    }
+    config.auth = config.auth || DEFAULT_AUTH_BY_FORMAT[config.format];
+    if (!PROVIDER_AUTH_STYLES.includes(config.auth)) {
+      throw new Error(`Provider "${name}" has invalid auth "${config.auth}". Must be: ${PROVIDER_AUTH_STYLES.join(', ')}`);
+    }
+    // Key checks have no model to put in a templated base_url (e.g. Azure deployments)
+    if (config.base_url.includes('{model}') && config.verify_path !== null && !/^https?:\/\//.test(config.verify_path || '')) {
+      throw new Error(`Provider "${name}" has {model} in base_url, so verify_path must be a full URL or null`);
+    }
+    
+    providers[name] = {
+      ...config,
+      name,
+      base_url: config.base_url.replace(/\/+$/, ''),
+      key_prefixes: config.key_prefixes || [],
+      models: config.models || [],
+      headers: config.headers || {},
+      query: config.query || {},
+      // OpenAI-format servers that reject stream_options can opt out with "stream_usage": false
+      stream_usage: config.stream_usage !== false,
+      // Authenticated GET used to verify keys; null trusts any key the provider is given
+      verify_path: config.verify_path === undefined ? '/models' : config.verify_path,
+      modelPatterns: (config.models || []).map(globToRegExp)
+    };
+  }
   
-  // Anthropic keys: sk-ant-...
-  if (key.startsWith('sk-ant-')) return 'anthropic';
+  if (!providers[defaultProvider]) throw new Error(`default_provider "${defaultProvider}" is not a configured provider`);
   
-  // Google/Gemini keys: AIza...
-  if (key.startsWith('AIza')) return 'google';
+  // Configured providers are matched before the built-ins so they can claim model names
+  const order = [
+    ...Object.keys(configured).filter(name => !DEFAULT_PROVIDERS[name]),
+    ...Object.keys(DEFAULT_PROVIDERS)
+  ];
   
-  // xAI/Grok keys: xai-...
-  if (key.startsWith('xai-')) return 'xai';
+  return { providers, order, defaultProvider };
+}
+
+const providerRegistry = loadProviderRegistry();
+
+function getProviderConfig(provider) {
+  return providerRegistry.providers[provider] || providerRegistry.providers[providerRegistry.defaultProvider];
+}
+
+// Detect provider from API key prefix (longest matching prefix wins, so sk-ant- beats sk-)
+function detectProviderFromKey(key) {
+  if (!key) return null;
   
-  return null;
+  let match = null;
+  let matchLength = 0;
+  for (const provider of Object.values(providerRegistry.providers)) {
+    for (const prefix of provider.key_prefixes) {
+      if (key.startsWith(prefix) && prefix.length > matchLength) {
+        match = provider.name;
+        matchLength = prefix.length;
+      }
+    }
+  }
+  return match;
 }
 
 // Detect provider from model name (fallback)
 function detectProviderFromModel(model) {
-  if (!model) return 'openai';
-  model = model.toLowerCase();
-  if (model.startsWith('gpt-') || model.startsWith('o1') || model.includes('openai')) return 'openai';
-  if (model.startsWith('claude-')) return 'anthropic';
-  if (model.startsWith('gemini-')) return 'google';
-  if (model.startsWith('grok-')) return 'xai';
-  if (model.includes('/')) return 'openrouter';
-  return 'openai';
+  if (!model) return providerRegistry.defaultProvider;
+  const name = providerRegistry.order.find(p => providerRegistry.providers[p].modelPatterns.some(re => re.test(model)));
+  return name || providerRegistry.defaultProvider;
+}
+
+// Full URL for a provider endpoint. `{model}` in base_url is replaced (e.g. Azure deployment URLs)
+// and the provider's static query parameters (e.g. api-version) are appended. A path that is
+// already a full URL (a verify_path) is used as is.
+function getProviderUrl(provider, path, model) {
+  const config = getProviderConfig(provider);
+  const url = new URL(/^https?:\/\//.test(path) ? path : `${config.base_url.replace('{model}', encodeURIComponent(model || ''))}${path}`);
+  for (const [name, value] of Object.entries(config.query)) {
+    url.searchParams.set(name, value);
+  }
+  return url.toString();
+}
+
+function getProviderEndpoint(provider, model, { stream } = {}) {
+  const { format } = getProviderConfig(provider);
+  if (format === 'anthropic') return getProviderUrl(provider, '/messages', model);
+  if (format === 'gemini') {
+    return getProviderUrl(provider, `/models/${model}:${stream ? 'streamGenerateContent?alt=sse' : 'generateContent'}`, model);
+  }
+  return getProviderUrl(provider, '/chat/completions', model);
+}
+
+// Attach the provider's credentials to a request, in the provider's auth style
+function applyProviderAuth(provider, key, url, headers) {
+  const { auth } = getProviderConfig(provider);
+  if (auth === 'bearer') headers['Authorization'] = `Bearer ${key}`;
+  if (auth === 'x-api-key') headers['x-api-key'] = key;
+  if (auth === 'api-key') headers['api-key'] = key;
+  if (auth === 'query') {
+    const withKey = new URL(url);
+    withKey.searchParams.set('key', key);
+    url = withKey.toString();
+  }
+  return { url, headers };
+}
+
+// URL and headers for a chat call to a provider
+function buildProviderRequest(provider, model, key, { stream } = {}) {
+  const config = getProviderConfig(provider);
+  const headers = { 'Content-Type': 'application/json', ...config.headers };
+  if (config.format === 'anthropic') headers['anthropic-version'] = '2023-06-01';
+  
+  const { url } = applyProviderAuth(provider, key, getProviderEndpoint(provider, model, { stream }), headers);
+  return { url, headers, format: config.format };
 }
 
+// ===== HELPERS =====
+
 // Hash a key using SHA256
 function hashKey(key) {
   return crypto.createHash('sha256').update(key).digest('hex');
 }
 
-// Get or create account from key hash
-function getOrCreateAccount(keyHash, provider) {
-  let account = db.prepare('SELECT * FROM accounts WHERE key_hash = ?').get(keyHash);
-  
-  if (!account) {
-    const id = crypto.randomUUID();
-    db.prepare('INSERT INTO accounts (id, key_hash, provider, created_at) VALUES (?, ?, ?, ?)').run(
+// New account for a key hash, in a workspace of its own that shares its id.
+// Only called for keys the provider has accepted (see authenticateProviderKey).
+function createAccount(keyHash, provider) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  db.transaction(() => {
+    db.prepare('INSERT INTO workspaces (id, created_at) VALUES (?, ?)').run(id, now);
+    db.prepare('INSERT INTO accounts (id, key_hash, provider, workspace_id, created_at) VALUES (?, ?, ?, ?, ?)').run(
       id,
       keyHash,
       provider,
-      new Date().toISOString()
+      id,
+      now
     );
-    account = { id, key_hash: keyHash, provider, created: true };
+  })();
+  console.log(`[ACCOUNT] Created new account for ${provider}: ${id.substring(0, 8)}...`);
+  return db.prepare('SELECT * FROM accounts WHERE id = ?').get(id);
+}
+
+// ===== PROVIDER KEY VERIFICATION =====
+
+// Proof of possession: a provider key gets an account, or reaches an existing one, only once
+// the provider accepts it on a cheap authenticated call (listing models unless the provider sets
+// verify_path). A pass is kept on the account for AGENTLOG_KEY_VERIFY_TTL_HOURS. A rejection is
+// remembered for a few minutes, so a bad key doesn't send every request on to the provider.
+const KEY_VERIFY_TTL_MS = (parseInt(process.env.AGENTLOG_KEY_VERIFY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const KEY_REJECT_TTL_MS = 10 * 60 * 1000;
+const KEY_VERIFY_TIMEOUT_MS = 10 * 1000;
+const MAX_REJECTED_KEYS = 10000;
+const rejectedKeys = new Map(); // key hash -> when the rejection expires
+const pendingVerifications = new Map(); // key hash -> promise, so concurrent first requests share one call
+
+// 'verified', 'rejected' (the provider refused the key) or 'unavailable' (no answer either way)
+async function checkKeyWithProvider(key, provider) {
+  const config = getProviderConfig(provider);
+  if (!config.verify_path) return 'verified';
+  
+  const headers = { ...config.headers };
+  if (config.format === 'anthropic') headers['anthropic-version'] = '2023-06-01';
+  const { url } = applyProviderAuth(provider, key, getProviderUrl(provider, config.verify_path), headers);
+  
+  try {
+    const response = await fetch(url, { headers, signal: AbortSignal.timeout(KEY_VERIFY_TIMEOUT_MS) });
+    if (response.ok) return 'verified';
+    if (response.status === 401 || response.status === 403) return 'rejected';
+    console.error(`[VERIFY] ${provider} answered ${response.status} to a key check`);
+    return 'unavailable';
+  } catch (error) {
+    console.error(`[VERIFY] ${provider} unreachable: ${error.message}`);
+    return 'unavailable';
+  }
+}
+
+function rememberRejectedKey(keyHash) {
+  const now = Date.now();
+  if (rejectedKeys.size >= MAX_REJECTED_KEYS) {
+    for (const [hash, expiresAt] of rejectedKeys) {
+      if (expiresAt <= now) rejectedKeys.delete(hash);
+    }
+    if (rejectedKeys.size >= MAX_REJECTED_KEYS) rejectedKeys.delete(rejectedKeys.keys().next().value);
+  }
+  rejectedKeys.set(keyHash, now + KEY_REJECT_TTL_MS);
+}
+
+// The account for a provider key, verifying the key first when needed.
+// Resolves to { account } or { status, error }.
+async function authenticateProviderKey(key, provider) {
+  const keyHash = hashKey(key);
+  const findAccount = () => db.prepare('SELECT * FROM accounts WHERE key_hash = ?').get(keyHash);
+  let account = findAccount();
+  
+  // A provider that takes no key answers any string, so it can't vouch for a new one
+  if (!account && getProviderConfig(provider).auth === 'none') {
+    return { status: 401, error: `${provider} takes no API key, so AgentLog can't verify one for a new account` };
   }
   
-  // Update last_seen
-  db.prepare('UPDATE accounts SET last_seen_at = ? WHERE id = ?').run(
-    new Date().toISOString(),
-    account.id
-  );
+  if (!account?.verified_at || Date.now() - Date.parse(account.verified_at) >= KEY_VERIFY_TTL_MS) {
+    if (rejectedKeys.get(keyHash) > Date.now()) {
+      return { status: 401, error: `${provider} rejected this key` };
+    }
+    if (!pendingVerifications.has(keyHash)) {
+      pendingVerifications.set(keyHash, checkKeyWithProvider(key, provider).finally(() => pendingVerifications.delete(keyHash)));
+    }
+    const result = await pendingVerifications.get(keyHash);
+    
+    if (result === 'rejected') {
+      rememberRejectedKey(keyHash);
+      console.log(`[VERIFY] ${provider} rejected key ${keyHash.substring(0, 8)}...`);
+      return { status: 401, error: `${provider} rejected this key` };
+    }
+    // A key verified before keeps working while its provider can't be reached
+    account = findAccount();
+    if (result === 'unavailable' && !account?.verified_at) {
+      return { status: 503, error: `Could not reach ${provider} to verify this key. Try again shortly.` };
+    }
+    if (result === 'verified') {
+      account = account || createAccount(keyHash, provider);
+      db.prepare('UPDATE accounts SET verified_at = ? WHERE id = ?').run(new Date().toISOString(), account.id);
+    }
+  }
   
-  return account;
+  db.prepare('UPDATE accounts SET last_seen_at = ? WHERE id = ?').run(new Date().toISOString(), account.id);
+  return { account: findAccount() };
 }
 
 // ===== MIDDLEWARE =====
 
-// Validate API key (legacy AgentLog keys)
-const validateApiKey = (req, res, next) => {
+// Scopes an AgentLog key can hold. admin covers the other two.
+const API_KEY_SCOPES = ['ingest', 'read', 'admin'];
+
+// Scope each route needs from an AgentLog key, where it isn't the default of read for GETs
+// and admin for everything else. null lets any valid key through. Provider keys can do anything.
+const ROUTE_SCOPES = {
+  'POST /api/track': 'ingest',
+  'POST /api/tasks/start': 'ingest',
+  'POST /api/tasks/:id/complete': 'ingest',
+  'POST /api/import': 'ingest',
+  'POST /v1/traces': 'ingest',
+  'POST /api/redaction/test': 'read',
+  'GET /api/key': null,
+  'GET /api/keys': 'admin'
+};
+
+function requiredScope(req) {
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const route = `${method} ${req.route?.path}`;
+  if (route in ROUTE_SCOPES) return ROUTE_SCOPES[route];
+  return method === 'GET' ? 'read' : 'admin';
+}
+
+// Validate API key (AgentLog keys first, then provider keys)
+const validateApiKey = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   if (!authHeader?.startsWith('Bearer ')) {
     return res.status(401).json({ error: 'Missing or invalid Authorization header' });
@@ -172,12 +355,26 @@ const validateApiKey = (req, res, next) => {
   
   const key = authHeader.replace('Bearer ', '');
   
-  // First try legacy AgentLog key
-  const apiKey = db.prepare('SELECT * FROM api_keys WHERE key = ?').get(key);
+  // First try an AgentLog key (stored as a hash)
+  const apiKey = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(hashKey(key));
   
   if (apiKey) {
-    db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(
-      new Date().toISOString(),
+    const now = new Date().toISOString();
+    if (apiKey.revoked_at) {
+      return res.status(401).json({ error: 'API key has been revoked' });
+    }
+    if (apiKey.expires_at && apiKey.expires_at <= now) {
+      return res.status(401).json({ error: 'API key has expired' });
+    }
+    
+    const scope = requiredScope(req);
+    const scopes = JSON.parse(apiKey.scopes);
+    if (scope && !scopes.includes('admin') && !scopes.includes(scope)) {
+      return res.status(403).json({ error: `This key lacks the ${scope} scope`, required_scope: scope, scopes });
+    }
+    
+    db.prepare('UPDATE api_keys SET last_used_at = ?, request_count = request_count + 1 WHERE id = ?').run(
+      now,
       apiKey.id
     );
     req.apiKey = apiKey;
@@ -185,11 +382,13 @@ const validateApiKey = (req, res, next) => {
     return next();
   }
   
-  // Try provider key (hash it and look up account)
+  // Try provider key (verified with the provider, then looked up by hash)
   const provider = detectProviderFromKey(key);
   if (provider) {
-    const keyHash = hashKey(key);
-    const account = getOrCreateAccount(keyHash, provider);
+    const { account, status, error } = await authenticateProviderKey(key, provider);
+    if (!account) {
+      return res.status(status).json({ error });
+    }
     req.account = account;
     req.providerKey = key;
     req.authType = 'provider';
@@ -199,13 +398,14 @@ const validateApiKey = (req, res, next) => {
   return res.status(401).json({ error: 'Invalid API key' });
 };
 
-// Get account ID (works with both auth types)
+// Get the id data is scoped by (works with both auth types). Provider keys share their
+// workspace's data, so this is the workspace id rather than the key's own account id.
 function getAccountId(req) {
   if (req.authType === 'provider' && req.account) {
-    return req.account.id;
+    return req.account.workspace_id;
   }
   if (req.authType === 'legacy' && req.apiKey) {
-    return req.apiKey.id;
+    return req.apiKey.account_id;
   }
   return null;
 }
@@ -222,58 +422,317 @@ app.get('/', (req, res) => {
   });
 });
 
-// Get API key info (legacy)
-app.get('/api/key', (req, res) => {
-  const apiKey = db.prepare('SELECT key, name FROM api_keys LIMIT 1').get();
-  res.json(apiKey);
+// ===== AGENTLOG API KEYS =====
+
+// Keys share the data of whoever created them: a workspace for provider keys, or the scope of
+// the AgentLog key that minted them. The secret is only returned on create and rotate.
+
+function newApiKeySecret() {
+  return 'agentlog_' + crypto.randomBytes(16).toString('hex');
+}
+
+function apiKeyStatus(apiKey) {
+  if (apiKey.revoked_at) return 'revoked';
+  if (apiKey.expires_at && apiKey.expires_at <= new Date().toISOString()) return 'expired';
+  return 'active';
+}
+
+function formatApiKey(apiKey) {
+  const { tasks } = db.prepare('SELECT COUNT(*) as tasks FROM tasks WHERE api_key_id = ?').get(apiKey.id);
+  return {
+    id: apiKey.id,
+    name: apiKey.name,
+    key_prefix: apiKey.key_prefix,
+    scopes: JSON.parse(apiKey.scopes),
+    status: apiKeyStatus(apiKey),
+    created_at: apiKey.created_at,
+    expires_at: apiKey.expires_at,
+    revoked_at: apiKey.revoked_at,
+    usage: { requests: apiKey.request_count, tasks, last_used_at: apiKey.last_used_at }
+  };
+}
+
+function getScopedApiKey(req) {
+  return db.prepare('SELECT * FROM api_keys WHERE id = ? AND account_id = ?').get(req.params.id, getAccountId(req));
+}
+
+// The key making the request. Any scope may call this, so CI jobs can check their own expiry.
+app.get('/api/key', validateApiKey, (req, res) => {
+  if (req.authType !== 'legacy') {
+    return res.status(400).json({ error: 'This is a provider key, not an AgentLog key. GET /api/keys lists the AgentLog keys for your data.' });
+  }
+  res.json(formatApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(req.apiKey.id)));
+});
+
+app.get('/api/keys', validateApiKey, (req, res) => {
+  const keys = db.prepare('SELECT * FROM api_keys WHERE account_id = ? ORDER BY created_at').all(getAccountId(req));
+  res.json(keys.map(formatApiKey));
+});
+
+// Mint a key. scopes defaults to ingest, the least a key can do.
+app.post('/api/keys', validateApiKey, (req, res) => {
+  const { name = 'API Key', scopes = ['ingest'], expires_at = null } = req.body;
+  
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return res.status(400).json({ error: 'name must be a non-empty string of at most 100 characters' });
+  }
+  if (!Array.isArray(scopes) || !scopes.length || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+    return res.status(400).json({ error: 'scopes must be a non-empty array of: ' + API_KEY_SCOPES.join(', ') });
+  }
+  if (expires_at !== null && (typeof expires_at !== 'string' || isNaN(Date.parse(expires_at)) || Date.parse(expires_at) <= Date.now())) {
+    return res.status(400).json({ error: 'expires_at must be a future ISO 8601 date, or null' });
+  }
+  
+  const id = crypto.randomUUID();
+  const secret = newApiKeySecret();
+  db.prepare(`
+    INSERT INTO api_keys (id, key_hash, key_prefix, name, account_id, scopes, created_at, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    hashKey(secret),
+    secret.substring(0, 13),
+    name.trim(),
+    getAccountId(req),
+    JSON.stringify([...new Set(scopes)]),
+    new Date().toISOString(),
+    expires_at && new Date(expires_at).toISOString()
+  );
+  
+  console.log(`[KEYS] Created ${id.substring(0, 8)}... (${scopes.join(', ')})`);
+  res.status(201).json({ key: secret, api_key: formatApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(id)) });
+});
+
+// Replace a key's secret. The old secret stops working at once; id, scopes and usage carry over.
+app.post('/api/keys/:id/rotate', validateApiKey, (req, res) => {
+  const apiKey = getScopedApiKey(req);
+  if (!apiKey) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  if (apiKey.revoked_at) {
+    return res.status(400).json({ error: 'Revoked keys cannot be rotated' });
+  }
+  
+  const secret = newApiKeySecret();
+  db.prepare('UPDATE api_keys SET key_hash = ?, key_prefix = ? WHERE id = ?').run(hashKey(secret), secret.substring(0, 13), apiKey.id);
+  
+  console.log(`[KEYS] Rotated ${apiKey.id.substring(0, 8)}...`);
+  res.json({ key: secret, api_key: formatApiKey(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(apiKey.id)) });
+});
+
+// Revoke a key. The row stays so tasks it wrote still point at a known key.
+app.delete('/api/keys/:id', validateApiKey, (req, res) => {
+  const apiKey = getScopedApiKey(req);
+  if (!apiKey) {
+    return res.status(404).json({ error: 'API key not found' });
+  }
+  if (apiKey.revoked_at) {
+    return res.json({ success: true, api_key: formatApiKey(apiKey) });
+  }
+  
+  // Without a provider key behind the data, the last admin key is the only way to manage it
+  const accountId = getAccountId(req);
+  const inWorkspace = db.prepare('SELECT 1 FROM workspaces WHERE id = ?').get(accountId);
+  const otherAdmins = db.prepare('SELECT * FROM api_keys WHERE account_id = ? AND id != ?').all(accountId, apiKey.id)
+    .filter(other => apiKeyStatus(other) === 'active' && JSON.parse(other.scopes).includes('admin'));
+  if (!inWorkspace && JSON.parse(apiKey.scopes).includes('admin') && !otherAdmins.length) {
+    return res.status(400).json({ error: 'Cannot revoke the last admin key. Create another admin key first.' });
+  }
+  
+  db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ?').run(new Date().toISOString(), apiKey.id);
+  
+  console.log(`[KEYS] Revoked ${apiKey.id.substring(0, 8)}...`);
+  res.json({ success: true, api_key: formatApiKey(getScopedApiKey(req)) });
 });
 
 // ===== NEW: Account lookup endpoint =====
-app.post('/api/account/lookup', (req, res) => {
-  const { key_hash, provider } = req.body;
+
+// The key itself is required, not its hash, and the provider has to accept it, so only someone
+// holding a live key can find or create its account.
+app.post('/api/account/lookup', async (req, res) => {
+  const { key, key_hash } = req.body;
   
-  if (!key_hash || !provider) {
+  if (!key) {
     return res.status(400).json({ 
-      error: 'Missing required fields',
-      required: ['key_hash', 'provider']
+      error: key_hash ? 'Lookup by key_hash is no longer supported. Send the key itself; only its hash is stored.' : 'Missing required fields',
+      required: ['key']
     });
   }
   
-  // Validate provider
-  const validProviders = ['openai', 'anthropic', 'google', 'xai'];
-  if (!validProviders.includes(provider)) {
-    return res.status(400).json({ error: 'Invalid provider. Must be: ' + validProviders.join(', ') });
+  const provider = typeof key === 'string' && detectProviderFromKey(key);
+  if (!provider) {
+    return res.status(400).json({ error: 'key must be a provider API key (OpenAI, Anthropic, Google, xAI or a configured provider)' });
   }
   
-  let account = db.prepare('SELECT * FROM accounts WHERE key_hash = ?').get(key_hash);
-  let created = false;
-  
+  const existed = !!db.prepare('SELECT 1 FROM accounts WHERE key_hash = ?').get(hashKey(key));
+  const { account, status, error } = await authenticateProviderKey(key, provider);
   if (!account) {
-    const id = crypto.randomUUID();
-    db.prepare('INSERT INTO accounts (id, key_hash, provider, created_at) VALUES (?, ?, ?, ?)').run(
-      id,
-      key_hash,
-      provider,
-      new Date().toISOString()
-    );
-    account = { id, key_hash, provider };
-    created = true;
-    console.log(`[ACCOUNT] Created new account for ${provider}: ${id.substring(0, 8)}...`);
-  } else {
-    // Update last_seen
-    db.prepare('UPDATE accounts SET last_seen_at = ? WHERE id = ?').run(
-      new Date().toISOString(),
-      account.id
-    );
+    return res.status(status).json({ error });
   }
   
   res.json({ 
     account_id: account.id,
+    workspace_id: account.workspace_id,
     provider: account.provider,
-    created
+    verified_at: account.verified_at,
+    created: !existed
   });
 });
 
+// ===== WORKSPACES =====
+
+// A workspace groups provider keys (accounts) so a team's OpenAI, Anthropic and Gemini keys,
+// and rotated keys, share one dashboard. All data is scoped by workspace id (see getAccountId).
+
+// Per-account settings: when both sides have one, the workspace keeps its own
+const WORKSPACE_SETTINGS_TABLES = ['cache_settings', 'retention_settings', 'redaction_settings', 'otlp_exporters'];
+
+// Move everything a solo account's workspace owns into another workspace
+function mergeWorkspaceData(fromId, toId) {
+  // Encrypted payloads are bound to their account (see encryption.js)
+  rebindPayloads(db, fromId, toId);
+  for (const table of ['tasks', 'task_events', 'openai_responses', 'otlp_export_queue', 'data_keys', 'api_keys']) {
+    db.prepare(`UPDATE ${table} SET account_id = ? WHERE account_id = ?`).run(toId, fromId);
+  }
+  for (const table of [...WORKSPACE_SETTINGS_TABLES, 'response_cache']) {
+    db.prepare(`UPDATE OR IGNORE ${table} SET account_id = ? WHERE account_id = ?`).run(toId, fromId);
+    db.prepare(`DELETE FROM ${table} WHERE account_id = ?`).run(fromId);
+  }
+  
+  // Chains and budgets the workspace already has for the same model or limit win
+  db.prepare(`
+    DELETE FROM fallback_chains WHERE account_id = ? AND model IN (SELECT model FROM fallback_chains WHERE account_id = ?)
+  `).run(fromId, toId);
+  db.prepare(`
+    DELETE FROM budgets WHERE account_id = ? AND EXISTS (
+      SELECT 1 FROM budgets b WHERE b.account_id = ? AND b.scope = budgets.scope
+        AND COALESCE(b.scope_value, '') = COALESCE(budgets.scope_value, '') AND b.metric = budgets.metric
+    )
+  `).run(fromId, toId);
+  db.prepare(`
+    UPDATE prompt_templates SET is_active = 0
+    WHERE account_id = ? AND name IN (SELECT name FROM prompt_templates WHERE account_id = ? AND is_active = 1)
+  `).run(fromId, toId);
+  for (const table of ['fallback_chains', 'budgets', 'prompt_templates']) {
+    db.prepare(`UPDATE ${table} SET account_id = ? WHERE account_id = ?`).run(toId, fromId);
+  }
+  
+  // Rollups for the same day and group add up
+  db.prepare(`
+    INSERT INTO task_rollups (account_id, day, agent_name, model, provider, status, task_count, total_duration_ms, max_duration_ms, total_cost, tokens_in, tokens_out)
+    SELECT ?, day, agent_name, model, provider, status, task_count, total_duration_ms, max_duration_ms, total_cost, tokens_in, tokens_out
+    FROM task_rollups WHERE account_id = ?
+    ON CONFLICT (account_id, day, agent_name, model, provider, status) DO UPDATE SET
+      task_count = task_count + excluded.task_count,
+      total_duration_ms = total_duration_ms + excluded.total_duration_ms,
+      max_duration_ms = MAX(max_duration_ms, excluded.max_duration_ms),
+      total_cost = total_cost + excluded.total_cost,
+      tokens_in = tokens_in + excluded.tokens_in,
+      tokens_out = tokens_out + excluded.tokens_out
+  `).run(toId, fromId);
+  db.prepare('DELETE FROM task_rollups WHERE account_id = ?').run(fromId);
+}
+
+function requireWorkspace(req, res) {
+  if (req.authType !== 'provider') {
+    res.status(400).json({ error: 'Workspaces group provider keys; legacy AgentLog keys have none' });
+    return null;
+  }
+  return req.account.workspace_id;
+}
+
+function getWorkspace(workspaceId) {
+  const workspace = db.prepare('SELECT * FROM workspaces WHERE id = ?').get(workspaceId);
+  const keys = db.prepare(`
+    SELECT id, provider, key_hash, created_at, last_seen_at FROM accounts WHERE workspace_id = ? ORDER BY created_at
+  `).all(workspaceId);
+  
+  // A short hash prefix is enough to tell keys apart
+  return {
+    ...workspace,
+    keys: keys.map(({ key_hash, ...key }) => ({ ...key, key_fingerprint: key_hash.substring(0, 12) }))
+  };
+}
+
+app.get('/api/workspace', validateApiKey, (req, res) => {
+  const workspaceId = requireWorkspace(req, res);
+  if (!workspaceId) return;
+  res.json({ ...getWorkspace(workspaceId), current_key_id: req.account.id });
+});
+
+app.put('/api/workspace', validateApiKey, (req, res) => {
+  const workspaceId = requireWorkspace(req, res);
+  if (!workspaceId) return;
+  
+  const { name } = req.body;
+  if (name !== null && (typeof name !== 'string' || name.length > 100)) {
+    return res.status(400).json({ error: 'name must be a string of at most 100 characters, or null' });
+  }
+  
+  db.prepare('UPDATE workspaces SET name = ? WHERE id = ?').run(name, workspaceId);
+  res.json({ success: true, workspace: getWorkspace(workspaceId) });
+});
+
+// Link another provider key. The key itself is required, not its hash, so only someone holding
+// it can pull its data in. A key on its own brings its data along; a key that already shares a
+// workspace with others has to be unlinked there first.
+app.post('/api/workspace/keys', validateApiKey, async (req, res) => {
+  const workspaceId = requireWorkspace(req, res);
+  if (!workspaceId) return;
+  
+  const { key } = req.body;
+  const provider = typeof key === 'string' && detectProviderFromKey(key);
+  if (!provider) {
+    return res.status(400).json({ error: 'key must be a provider API key (OpenAI, Anthropic, Google, xAI or a configured provider)' });
+  }
+  
+  const { account, status, error } = await authenticateProviderKey(key, provider);
+  if (!account) {
+    return res.status(status).json({ error });
+  }
+  if (account.workspace_id === workspaceId) {
+    return res.json({ success: true, linked: false, workspace: getWorkspace(workspaceId) });
+  }
+  
+  const { members } = db.prepare('SELECT COUNT(*) as members FROM accounts WHERE workspace_id = ?').get(account.workspace_id);
+  if (members > 1) {
+    return res.status(409).json({ error: 'That key belongs to a workspace with other keys. Unlink it there first.' });
+  }
+  
+  db.transaction(() => {
+    mergeWorkspaceData(account.workspace_id, workspaceId);
+    db.prepare('UPDATE accounts SET workspace_id = ? WHERE id = ?').run(workspaceId, account.id);
+    db.prepare('DELETE FROM workspaces WHERE id = ?').run(account.workspace_id);
+  })();
+  
+  console.log(`[WORKSPACE] Linked ${provider} key ${account.id.substring(0, 8)}... into ${workspaceId.substring(0, 8)}...`);
+  res.json({ success: true, linked: true, workspace: getWorkspace(workspaceId) });
+});
+
+// Unlink a key. Data stays with the workspace; the key starts over in an empty workspace.
+app.delete('/api/workspace/keys/:id', validateApiKey, (req, res) => {
+  const workspaceId = requireWorkspace(req, res);
+  if (!workspaceId) return;
+  
+  const account = db.prepare('SELECT * FROM accounts WHERE id = ? AND workspace_id = ?').get(req.params.id, workspaceId);
+  if (!account) {
+    return res.status(404).json({ error: 'Key not found in this workspace' });
+  }
+  const { members } = db.prepare('SELECT COUNT(*) as members FROM accounts WHERE workspace_id = ?').get(workspaceId);
+  if (members === 1) {
+    return res.status(400).json({ error: 'Cannot unlink the only key of a workspace' });
+  }
+  
+  const newWorkspaceId = crypto.randomUUID();
+  db.transaction(() => {
+    db.prepare('INSERT INTO workspaces (id, created_at) VALUES (?, ?)').run(newWorkspaceId, new Date().toISOString());
+    db.prepare('UPDATE accounts SET workspace_id = ? WHERE id = ?').run(newWorkspaceId, account.id);
+  })();
+  
+  console.log(`[WORKSPACE] Unlinked key ${account.id.substring(0, 8)}... from ${workspaceId.substring(0, 8)}...`);
+  res.json({ success: true, workspace: getWorkspace(workspaceId) });
+});
+
 // Track a task (with full request/response support)
 app.post('/api/track', validateApiKey, (req, res) => {
   const { 
@@ -297,6 +756,8 @@ app.post('/api/track', validateApiKey, (req, res) => {
   const id = crypto.randomUUID();
   const generatedTraceId = trace_id || crypto.randomUUID();
   const accountId = getAccountId(req);
+  const taskMetadata = metadata || {};
+  const payload = preparePayloads(accountId, id, { prompt, completion, error: error || null }, taskMetadata);
   
   db.prepare(`
     INSERT INTO tasks (
@@ -315,13 +776,13 @@ app.post('/api/track', validateApiKey, (req, res) => {
     status,
     durationMs,
     cost || 0,
-    error || null,
+    payload.error,
     provider || 'custom',
-    JSON.stringify(metadata || {}),
+    JSON.stringify(taskMetadata),
     new Date().toISOString(),
     model || null,
-    prompt || null,
-    completion || null,
+    payload.prompt || null,
+    payload.completion || null,
     tokens_in || 0,
     tokens_out || 0,
     generatedTraceId,
@@ -331,6 +792,7 @@ app.post('/api/track', validateApiKey, (req, res) => {
     prompt_template_id || null
   );
   
+  publishTaskEvent(id, { created: true });
   console.log(`[TASK] ${status.toUpperCase()} | ${agent} | ${task}${model ? ` | ${model}` : ''}`);
   
   res.json({ 
@@ -378,6 +840,7 @@ app.post('/api/tasks/start', validateApiKey, (req, res) => {
     now
   );
   
+  publishTaskEvent(id, { created: true });
   console.log(`[TASK] STARTED | ${agent} | ${task}`);
   
   res.json({ 
@@ -406,6 +869,8 @@ app.post('/api/tasks/:id/complete', validateApiKey, (req, res) => {
   
   const now = new Date().toISOString();
   const accountId = getAccountId(req);
+  const taskMetadata = metadata || {};
+  const payload = preparePayloads(accountId, req.params.id, { prompt, completion, error: error || null }, taskMetadata);
   
   // Support both legacy and new auth
   const result = db.prepare(`
@@ -418,13 +883,13 @@ app.post('/api/tasks/:id/complete', validateApiKey, (req, res) => {
     status,
     durationMs,
     cost || 0,
-    error || null,
+    payload.error,
     model || null,
-    prompt || null,
-    completion || null,
+    payload.prompt || null,
+    payload.completion || null,
     tokens_in || 0,
     tokens_out || 0,
-    JSON.stringify(metadata || {}),
+    JSON.stringify(taskMetadata),
     now,
     req.params.id,
     req.apiKey?.id || null,
@@ -435,6 +900,7 @@ app.post('/api/tasks/:id/complete', validateApiKey, (req, res) => {
     return res.status(404).json({ error: 'Task not found or not in running state' });
   }
   
+  publishTaskEvent(req.params.id);
   console.log(`[TASK] ${status.toUpperCase()} | Task ${req.params.id}`);
   
   res.json({ 
@@ -445,20 +911,160 @@ app.post('/api/tasks/:id/complete', validateApiKey, (req, res) => {
   });
 });
 
+// ===== LIST FILTERS & PAGINATION =====
+
+// Sortable fields: SQL expression plus how to read the same value back off a result row
+const TASK_SORTS = {
+  created_at: { expr: 'created_at', value: row => row.created_at },
+  cost: { expr: 'COALESCE(cost, 0)', value: row => row.cost || 0 },
+  duration_ms: { expr: 'duration_ms', value: row => row.duration_ms },
+  tokens: { expr: '(COALESCE(tokens_in, 0) + COALESCE(tokens_out, 0))', value: row => (row.tokens_in || 0) + (row.tokens_out || 0) }
+};
+
+const TRACE_SORTS = {
+  started_at: { expr: 'started_at', value: row => row.started_at },
+  total_cost: { expr: 'COALESCE(total_cost, 0)', value: row => row.total_cost || 0 },
+  total_duration_ms: { expr: 'COALESCE(total_duration_ms, 0)', value: row => row.total_duration_ms || 0 },
+  total_tokens: { expr: '(COALESCE(total_tokens_in, 0) + COALESCE(total_tokens_out, 0))', value: row => (row.total_tokens_in || 0) + (row.total_tokens_out || 0) },
+  span_count: { expr: 'span_count', value: row => row.span_count }
+};
+
+// min_<name>/max_<name> query parameters -> SQL expression they bound
+const TASK_RANGES = { cost: 'COALESCE(cost, 0)', duration: 'duration_ms', tokens: '(COALESCE(tokens_in, 0) + COALESCE(tokens_out, 0))' };
+const TRACE_RANGES = { cost: 'COALESCE(total_cost, 0)', duration: 'COALESCE(total_duration_ms, 0)', tokens: '(COALESCE(total_tokens_in, 0) + COALESCE(total_tokens_out, 0))' };
+
+const TASK_FIELD_FILTERS = ['status', 'agent_name', 'model', 'provider', 'span_name'];
+
+// Query values are strings; match JSON booleans and numbers the way json_extract returns them
+function parseMetadataValue(value) {
+  if (value === 'true') return 1;
+  if (value === 'false') return 0;
+  if (value !== '' && !isNaN(value)) return Number(value);
+  return value;
+}
+
+// Field filters on individual tasks: comma-separated values for each field in TASK_FIELD_FILTERS,
+// and metadata.<key>=value (nested keys use dots, e.g. metadata.fallback.answered_model=gpt-4o)
+function buildTaskFieldFilters(query) {
+  const clauses = [];
+  const params = [];
+  
+  for (const field of TASK_FIELD_FILTERS) {
+    if (query[field] === undefined) continue;
+    const values = String(query[field]).split(',');
+    clauses.push(`${field} IN (${values.map(() => '?').join(', ')})`);
+    params.push(...values);
+  }
+  
+  for (const [name, value] of Object.entries(query)) {
+    const match = /^metadata\.([A-Za-z0-9_]+(?:\.[A-Za-z0-9_]+)*)$/.exec(name);
+    if (!match) continue;
+    clauses.push(`(json_valid(metadata) AND json_extract(metadata, ?) = ?)`);
+    params.push(`$.${match[1]}`, parseMetadataValue(String(value)));
+  }
+  
+  return { clauses, params };
+}
+
+// The same filters against task_rollups, which keep status, agent, model and provider
+// (model and provider as '' when unset). Returns null when the query filters on span_name
+// or metadata, which rolled-up tasks no longer have, so no rollup can match.
+function buildRollupFilters(query) {
+  const metadataFilter = Object.keys(query).some(name => /^metadata\.([A-Za-z0-9_]+(?:\.[A-Za-z0-9_]+)*)$/.test(name));
+  if (query.span_name !== undefined || metadataFilter) return null;
+  return buildTaskFieldFilters(query);
+}
+
+function buildRangeFilters(query, ranges) {
+  const clauses = [];
+  const params = [];
+  
+  for (const [name, expr] of Object.entries(ranges)) {
+    for (const [bound, op] of [['min', '>='], ['max', '<=']]) {
+      const raw = query[`${bound}_${name}`];
+      if (raw === undefined) continue;
+      const value = Number(raw);
+      if (raw === '' || !Number.isFinite(value)) return { error: `${bound}_${name} must be a number` };
+      clauses.push(`${expr} ${op} ?`);
+      params.push(value);
+    }
+  }
+  
+  return { clauses, params };
+}
+
+// Cursors are opaque to clients: base64url JSON of [sort, order, last sort value, last id]
+function encodeCursor(sort, order, row, idColumn, sorts) {
+  return Buffer.from(JSON.stringify([sort, order, sorts[sort].value(row), row[idColumn]])).toString('base64url');
+}
+
+// Sort, order, limit and cursor for a list endpoint. Keyset pagination on (sort value, id)
+// keeps pages stable while new rows arrive, unlike OFFSET.
+function parsePagination(query, { sorts, defaultSort, defaultLimit, idColumn }) {
+  const sort = query.sort || defaultSort;
+  if (!sorts[sort]) return { error: `Invalid sort. Must be: ${Object.keys(sorts).join(', ')}` };
+  
+  const order = (query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) return { error: 'Invalid order. Must be: asc, desc' };
+  
+  const limit = Math.min(parseInt(query.limit) || defaultLimit, 1000);
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const orderBy = `${sorts[sort].expr} ${direction}, ${idColumn} ${direction}`;
+  
+  if (!query.cursor) return { sort, order, limit, orderBy, clauses: [], params: [] };
+  
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(query.cursor), 'base64url').toString());
+  } catch (e) {}
+  if (!Array.isArray(cursor) || cursor.length !== 4) return { error: 'Invalid cursor' };
+  if (cursor[0] !== sort || cursor[1] !== order) return { error: 'Cursor was issued for a different sort order' };
+  
+  const op = order === 'asc' ? '>' : '<';
+  const expr = sorts[sort].expr;
+  return {
+    sort, order, limit, orderBy,
+    clauses: [`(${expr} ${op} ? OR (${expr} = ? AND ${idColumn} ${op} ?))`],
+    params: [cursor[2], cursor[2], cursor[3]]
+  };
+}
+
+// Trim the extra row fetched to detect a next page, and hand out its cursor
+function sendPage(res, rows, page, idColumn, sorts) {
+  if (rows.length > page.limit) {
+    rows = rows.slice(0, page.limit);
+    res.set('X-Next-Cursor', encodeCursor(page.sort, page.order, rows[rows.length - 1], idColumn, sorts));
+  }
+  res.json(rows);
+}
+
 // Get tasks
 app.get('/api/tasks', validateApiKey, (req, res) => {
-  const limit = parseInt(req.query.limit) || 100;
+  const page = parsePagination(req.query, { sorts: TASK_SORTS, defaultSort: 'created_at', defaultLimit: 100, idColumn: 'id' });
+  if (page.error) return res.status(400).json({ error: page.error });
+  const ranges = buildRangeFilters(req.query, TASK_RANGES);
+  if (ranges.error) return res.status(400).json({ error: ranges.error });
+  
   const since = req.query.since || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
   const accountId = getAccountId(req);
+  const fields = buildTaskFieldFilters(req.query);
+  
+  const clauses = ['(api_key_id = ? OR account_id = ?)', 'created_at > ?', ...fields.clauses, ...ranges.clauses, ...page.clauses];
+  const params = [req.apiKey?.id || null, accountId, since, ...fields.params, ...ranges.params, ...page.params];
+  if (req.query.until) {
+    clauses.push('created_at <= ?');
+    params.push(req.query.until);
+  }
   
   const tasks = db.prepare(`
     SELECT * FROM tasks 
-    WHERE (api_key_id = ? OR account_id = ?) AND created_at > ?
-    ORDER BY created_at DESC 
+    WHERE ${clauses.join(' AND ')}
+    ORDER BY ${page.orderBy} 
     LIMIT ?
-  `).all(req.apiKey?.id || null, accountId, since, limit);
+  `).all(...params, page.limit + 1);
+  tasks.forEach(task => decryptTask(db, task));
   
-  res.json(tasks);
+  sendPage(res, tasks, page, 'id', TASK_SORTS);
 });
 
 // Get single task with full details
@@ -473,37 +1079,135 @@ app.get('/api/tasks/:id', validateApiKey, (req, res) => {
     return res.status(404).json({ error: 'Task not found' });
   }
   
-  res.json(task);
+  res.json(decryptTask(db, task));
 });
 
-// ===== TRACES =====
-app.get('/api/traces', validateApiKey, (req, res) => {
-  const limit = parseInt(req.query.limit) || 50;
-  const since = req.query.since || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-  const accountId = getAccountId(req);
-  
-  const traces = db.prepare(`
-    SELECT 
-      trace_id,
-      MIN(created_at) as started_at,
-      MAX(created_at) as ended_at,
-      COUNT(*) as span_count,
-      SUM(duration_ms) as total_duration_ms,
-      SUM(cost) as total_cost,
-      SUM(tokens_in) as total_tokens_in,
-      SUM(tokens_out) as total_tokens_out,
-      GROUP_CONCAT(DISTINCT agent_name) as agents,
-      GROUP_CONCAT(DISTINCT model) as models,
-      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_spans,
-      MAX(CASE WHEN parent_id IS NULL THEN description ELSE NULL END) as root_description
-    FROM tasks 
-    WHERE (api_key_id = ? OR account_id = ?) AND created_at > ? AND trace_id IS NOT NULL
-    GROUP BY trace_id
-    ORDER BY started_at DESC
+// ===== SEARCH =====
+
+// Turn a user query into FTS5 syntax. Quoted phrases and AND/OR/NOT pass through, a trailing *
+// makes a prefix query, and every other word is quoted so punctuation can't break the parser.
+function buildSearchQuery(q) {
+  const tokens = q.match(/"[^"]*"\*?|\S+/g) || [];
+  
+  return tokens.map(token => {
+    if (/^(AND|OR|NOT)$/.test(token)) return token;
+    if (/^"[^"]*"\*?$/.test(token)) return token.length > 2 ? token : null;
+    const prefix = token.endsWith('*');
+    const word = token.replace(/\*+$/, '').replace(/"/g, '""');
+    return word ? `"${word}"${prefix ? '*' : ''}` : null;
+  }).filter(Boolean).join(' ');
+}
+
+// FTS5 wraps matches in these; the text around them is HTML-escaped before they become <mark> tags
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+function markMatches(text) {
+  if (text === null) return null;
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+    .replaceAll(MATCH_START, '<mark>')
+    .replaceAll(MATCH_END, '</mark>');
+}
+
+// Ranked full-text search over description, prompt, completion and error
+app.get('/api/search', validateApiKey, (req, res) => {
+  const { q, agent, model, status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const accountId = getAccountId(req);
+  
+  const query = q && buildSearchQuery(q);
+  if (!query) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  
+  const filters = [];
+  const params = [MATCH_START, MATCH_END, MATCH_START, MATCH_END, query, req.apiKey?.id || null, accountId];
+  if (agent) { filters.push('t.agent_name = ?'); params.push(agent); }
+  if (model) { filters.push('t.model = ?'); params.push(model); }
+  if (status) { filters.push('t.status = ?'); params.push(status); }
+  params.push(limit);
+  
+  try {
+    // bm25 weights favour matches in the description and error over long prompts
+    const results = db.prepare(`
+      SELECT 
+        t.id, t.agent_name, t.description, t.status, t.provider, t.model, t.trace_id,
+        t.duration_ms, t.cost, t.created_at,
+        -bm25(tasks_fts, 5.0, 1.0, 1.0, 3.0) as score,
+        highlight(tasks_fts, 0, ?, ?) as description_highlight,
+        snippet(tasks_fts, -1, ?, ?, '…', 16) as snippet
+      FROM tasks_fts
+      JOIN tasks t ON t.rowid = tasks_fts.rowid
+      WHERE tasks_fts MATCH ? AND (t.api_key_id = ? OR t.account_id = ?)
+      ${filters.map(filter => `AND ${filter}`).join(' ')}
+      ORDER BY bm25(tasks_fts, 5.0, 1.0, 1.0, 3.0)
+      LIMIT ?
+    `).all(...params);
+    for (const result of results) {
+      result.description_highlight = markMatches(result.description_highlight);
+      result.snippet = markMatches(result.snippet);
+    }
+    
+    res.json({ query: q, count: results.length, results });
+  } catch (error) {
+    res.status(400).json({ error: `Invalid search query: ${error.message}` });
+  }
+});
+
+// ===== TRACES =====
+// Field filters pick traces containing a matching span; ranges and sorts apply to trace totals
+app.get('/api/traces', validateApiKey, (req, res) => {
+  const page = parsePagination(req.query, { sorts: TRACE_SORTS, defaultSort: 'started_at', defaultLimit: 50, idColumn: 'trace_id' });
+  if (page.error) return res.status(400).json({ error: page.error });
+  const ranges = buildRangeFilters(req.query, TRACE_RANGES);
+  if (ranges.error) return res.status(400).json({ error: ranges.error });
+  
+  const since = req.query.since || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const accountId = getAccountId(req);
+  const fields = buildTaskFieldFilters(req.query);
+  
+  const spanClauses = ['(api_key_id = ? OR account_id = ?)', 'created_at > ?', 'trace_id IS NOT NULL'];
+  const spanParams = [req.apiKey?.id || null, accountId, since];
+  if (req.query.until) {
+    spanClauses.push('created_at <= ?');
+    spanParams.push(req.query.until);
+  }
+  if (fields.clauses.length) {
+    spanClauses.push(`trace_id IN (SELECT trace_id FROM tasks WHERE (api_key_id = ? OR account_id = ?) AND ${fields.clauses.join(' AND ')})`);
+    spanParams.push(req.apiKey?.id || null, accountId, ...fields.params);
+  }
+  const traceClauses = [...ranges.clauses, ...page.clauses];
+  
+  const traces = db.prepare(`
+    SELECT * FROM (
+      SELECT 
+        trace_id,
+        MIN(created_at) as started_at,
+        MAX(created_at) as ended_at,
+        COUNT(*) as span_count,
+        SUM(duration_ms) as total_duration_ms,
+        SUM(cost) as total_cost,
+        SUM(tokens_in) as total_tokens_in,
+        SUM(tokens_out) as total_tokens_out,
+        GROUP_CONCAT(DISTINCT agent_name) as agents,
+        GROUP_CONCAT(DISTINCT model) as models,
+        SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as failed_spans,
+        MAX(CASE WHEN parent_id IS NULL THEN description ELSE NULL END) as root_description
+      FROM tasks 
+      WHERE ${spanClauses.join(' AND ')}
+      GROUP BY trace_id
+    )
+    ${traceClauses.length ? `WHERE ${traceClauses.join(' AND ')}` : ''}
+    ORDER BY ${page.orderBy}
     LIMIT ?
-  `).all(req.apiKey?.id || null, accountId, since, limit);
+  `).all(...spanParams, ...ranges.params, ...page.params, page.limit + 1);
   
-  res.json(traces);
+  sendPage(res, traces, page, 'trace_id', TRACE_SORTS);
 });
 
 app.get('/api/traces/:traceId', validateApiKey, (req, res) => {
@@ -518,6 +1222,16 @@ app.get('/api/traces/:traceId', validateApiKey, (req, res) => {
   if (spans.length === 0) {
     return res.status(404).json({ error: 'Trace not found' });
   }
+  spans.forEach(span => decryptTask(db, span));
+  
+  // Standard tracing formats instead of the AgentLog tree; payloads=false leaves out prompts and completions
+  if (req.query.format) {
+    const toFormat = TRACE_FORMATS[req.query.format];
+    if (!toFormat) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(TRACE_FORMATS).join(', ')}` });
+    }
+    return res.json(toFormat(spans, req.query.payloads !== 'false'));
+  }
   
   const spanMap = {};
   const roots = [];
@@ -639,6 +1353,75 @@ app.get('/api/prompts/:name', validateApiKey, (req, res) => {
   });
 });
 
+// ===== FALLBACK CHAINS =====
+app.post('/api/fallbacks', validateApiKey, (req, res) => {
+  const { model, fallbacks, retry_on, timeout_ms } = req.body;
+  
+  if (!model || !Array.isArray(fallbacks) || fallbacks.length === 0) {
+    return res.status(400).json({ error: 'model and a non-empty fallbacks array are required' });
+  }
+  
+  if (fallbacks.some(f => typeof f !== 'string' && !f?.model)) {
+    return res.status(400).json({ error: 'Each fallback must be a model name or { model, provider }' });
+  }
+  
+  if (retry_on !== undefined && (!Array.isArray(retry_on) || !retry_on.every(Number.isInteger))) {
+    return res.status(400).json({ error: 'retry_on must be an array of HTTP status codes' });
+  }
+  
+  const accountId = getAccountId(req);
+  const existing = db.prepare(`
+    SELECT id FROM fallback_chains WHERE (api_key_id = ? OR account_id = ?) AND model = ?
+  `).get(req.apiKey?.id || null, accountId, model);
+  
+  const id = existing?.id || crypto.randomUUID();
+  
+  db.prepare(`
+    INSERT OR REPLACE INTO fallback_chains (id, api_key_id, account_id, model, fallbacks, retry_on, timeout_ms, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    req.apiKey?.id || null,
+    accountId,
+    model,
+    JSON.stringify(fallbacks),
+    JSON.stringify(retry_on || DEFAULT_FALLBACK_STATUSES),
+    timeout_ms || null,
+    new Date().toISOString()
+  );
+  
+  res.json({
+    id,
+    model,
+    fallbacks,
+    message: `Fallback chain ${existing ? 'updated' : 'created'} for ${model}`
+  });
+});
+
+app.get('/api/fallbacks', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  
+  const chains = db.prepare(`
+    SELECT * FROM fallback_chains WHERE (api_key_id = ? OR account_id = ?) ORDER BY model
+  `).all(req.apiKey?.id || null, accountId);
+  
+  res.json(chains.map(c => ({ ...c, fallbacks: JSON.parse(c.fallbacks), retry_on: JSON.parse(c.retry_on) })));
+});
+
+app.delete('/api/fallbacks/:id', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  
+  const result = db.prepare(`
+    DELETE FROM fallback_chains WHERE id = ? AND (api_key_id = ? OR account_id = ?)
+  `).run(req.params.id, req.apiKey?.id || null, accountId);
+  
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Fallback chain not found' });
+  }
+  
+  res.json({ success: true, id: req.params.id });
+});
+
 // Health metrics
 app.get('/api/health', validateApiKey, (req, res) => {
   const since = req.query.since || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
@@ -660,24 +1443,321 @@ app.get('/api/health', validateApiKey, (req, res) => {
   res.json(stats);
 });
 
+// ===== METRICS =====
+
+// Bucket start as an ISO timestamp (strftime parses both ISO and CURRENT_TIMESTAMP created_at values)
+const METRIC_INTERVALS = {
+  minute: { format: '%Y-%m-%dT%H:%M:00Z', ms: 60 * 1000 },
+  hour: { format: '%Y-%m-%dT%H:00:00Z', ms: 60 * 60 * 1000 },
+  day: { format: '%Y-%m-%dT00:00:00Z', ms: 24 * 60 * 60 * 1000 }
+};
+
+const METRIC_GROUPS = ['model', 'agent_name', 'provider'];
+const MAX_METRIC_BUCKETS = 10000;
+
+function emptyMetricBucket(bucket) {
+  return {
+    bucket, requests: 0, errors: 0, error_rate: 0,
+    p50_duration_ms: null, p95_duration_ms: null, p99_duration_ms: null, avg_duration_ms: null,
+    tokens_in: 0, tokens_out: 0, cost: 0
+  };
+}
+
+// Bucketed request counts, error rate, latency percentiles, tokens and cost. In-flight and
+// budget-blocked tasks are left out since they never produced a provider latency, and fallback
+// attempts since their proxy task already counts once, as a success if a fallback answered.
+app.get('/api/metrics/timeseries', validateApiKey, (req, res) => {
+  const interval = req.query.interval || 'hour';
+  if (!METRIC_INTERVALS[interval]) {
+    return res.status(400).json({ error: `Invalid interval. Must be: ${Object.keys(METRIC_INTERVALS).join(', ')}` });
+  }
+  const groupBy = req.query.group_by;
+  if (groupBy && !METRIC_GROUPS.includes(groupBy)) {
+    return res.status(400).json({ error: `Invalid group_by. Must be: ${METRIC_GROUPS.join(', ')}` });
+  }
+  
+  const since = new Date(req.query.since || Date.now() - 24 * 60 * 60 * 1000);
+  const until = new Date(req.query.until || Date.now());
+  if (isNaN(since) || isNaN(until) || since >= until) {
+    return res.status(400).json({ error: 'since and until must be valid timestamps with since before until' });
+  }
+  const { format, ms } = METRIC_INTERVALS[interval];
+  const firstBucket = Math.floor(since.getTime() / ms) * ms;
+  if ((until.getTime() - firstBucket) / ms > MAX_METRIC_BUCKETS) {
+    return res.status(400).json({ error: `Too many buckets; use a larger interval or a shorter range (max ${MAX_METRIC_BUCKETS})` });
+  }
+  
+  const accountId = getAccountId(req);
+  const fields = buildTaskFieldFilters(req.query);
+  const groupExpr = groupBy ? `COALESCE(${groupBy}, 'unknown')` : 'NULL';
+  
+  // Nearest-rank percentiles: the smallest duration whose rank within its bucket reaches p * n
+  const rows = db.prepare(`
+    WITH ranked AS (
+      SELECT 
+        strftime('${format}', created_at) as bucket,
+        ${groupExpr} as grp,
+        duration_ms, status, tokens_in, tokens_out, cost,
+        ROW_NUMBER() OVER (PARTITION BY strftime('${format}', created_at), ${groupExpr} ORDER BY duration_ms) as rn,
+        COUNT(*) OVER (PARTITION BY strftime('${format}', created_at), ${groupExpr}) as n
+      FROM tasks
+      WHERE (api_key_id = ? OR account_id = ?) AND created_at > ? AND created_at <= ?
+        AND status NOT IN ('pending', 'running', 'blocked') AND ${NOT_FALLBACK_ATTEMPT}
+        ${fields.clauses.map(clause => `AND ${clause}`).join(' ')}
+    )
+    SELECT 
+      bucket, grp,
+      COUNT(*) as requests,
+      SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) as errors,
+      MIN(CASE WHEN rn >= 0.50 * n THEN duration_ms END) as p50_duration_ms,
+      MIN(CASE WHEN rn >= 0.95 * n THEN duration_ms END) as p95_duration_ms,
+      MIN(CASE WHEN rn >= 0.99 * n THEN duration_ms END) as p99_duration_ms,
+      AVG(duration_ms) as avg_duration_ms,
+      SUM(COALESCE(tokens_in, 0)) as tokens_in,
+      SUM(COALESCE(tokens_out, 0)) as tokens_out,
+      SUM(COALESCE(cost, 0)) as cost
+    FROM ranked
+    GROUP BY bucket, grp
+    ORDER BY bucket
+  `).all(req.apiKey?.id || null, accountId, since.toISOString(), until.toISOString(), ...fields.params);
+  
+  // Tasks retention has folded into daily rollups count in the first bucket of their day.
+  // Rollups keep total duration but not each task's, so they add to the average only.
+  const rollupFields = buildRollupFilters(req.query);
+  const rollupRows = rollupFields ? db.prepare(`
+    SELECT 
+      strftime('${format}', day) as bucket,
+      ${groupBy ? `COALESCE(NULLIF(${groupBy}, ''), 'unknown')` : 'NULL'} as grp,
+      SUM(task_count) as requests,
+      SUM(CASE WHEN status = 'failed' THEN task_count ELSE 0 END) as errors,
+      SUM(total_duration_ms) as total_duration_ms,
+      SUM(tokens_in) as tokens_in,
+      SUM(tokens_out) as tokens_out,
+      SUM(total_cost) as cost
+    FROM task_rollups
+    WHERE account_id = ? AND day || 'T00:00:00.000Z' > ? AND day || 'T00:00:00.000Z' <= ?
+      AND status NOT IN ('pending', 'running', 'blocked')
+      ${rollupFields.clauses.map(clause => `AND ${clause}`).join(' ')}
+    GROUP BY bucket, grp
+  `).all(accountId, since.toISOString(), until.toISOString(), ...rollupFields.params) : [];
+  
+  for (const { total_duration_ms, ...rollup } of rollupRows) {
+    const row = rows.find(row => row.bucket === rollup.bucket && row.grp === rollup.grp);
+    if (!row) {
+      rows.push({ ...emptyMetricBucket(rollup.bucket), ...rollup, avg_duration_ms: total_duration_ms / rollup.requests });
+      continue;
+    }
+    row.avg_duration_ms = (row.avg_duration_ms * row.requests + total_duration_ms) / (row.requests + rollup.requests);
+    for (const key of ['requests', 'errors', 'tokens_in', 'tokens_out', 'cost']) row[key] += rollup[key];
+  }
+  
+  // One zero-filled series per group, so charts get a point for every bucket
+  const bucketKeys = [];
+  for (let t = firstBucket; t <= until.getTime(); t += ms) {
+    bucketKeys.push(new Date(t).toISOString().replace('.000Z', 'Z'));
+  }
+  
+  const series = new Map();
+  if (!groupBy) series.set(null, new Map());
+  for (const row of rows) {
+    if (!series.has(row.grp)) series.set(row.grp, new Map());
+    const { grp, ...point } = row;
+    series.get(grp).set(row.bucket, { ...emptyMetricBucket(row.bucket), ...point, error_rate: point.errors / point.requests });
+  }
+  
+  res.json({
+    interval,
+    since: since.toISOString(),
+    until: until.toISOString(),
+    group_by: groupBy || null,
+    series: [...series].map(([group, points]) => ({
+      group,
+      points: bucketKeys.map(bucket => points.get(bucket) || emptyMetricBucket(bucket))
+    }))
+  });
+});
+
+// ===== COST REPORTS =====
+
+// Period start date for a task's created_at or a rollup's day (weeks start on Monday)
+const COST_PERIODS = {
+  day: column => `date(${column})`,
+  week: column => `date(${column}, '-6 days', 'weekday 1')`,
+  month: column => `strftime('%Y-%m-01', ${column})`
+};
+
+const COST_GROUPS = ['model', 'provider', 'agent_name', 'prompt_template_id'];
+const COST_PARTS = ['input', 'output', 'cache_read', 'cache_write'];
+
+// Proxy tasks record metadata.cost_breakdown; cost without one (e.g. from /api/track) is reported as other_cost
+function costPartExpr(part) {
+  return `COALESCE(CASE WHEN json_valid(metadata) THEN json_extract(metadata, '$.cost_breakdown.${part}') END, 0)`;
+}
+
+function sumCostRows(rows) {
+  const totals = { requests: 0, tokens_in: 0, tokens_out: 0, cost: 0, input_cost: 0, output_cost: 0, cache_read_cost: 0, cache_write_cost: 0, other_cost: 0 };
+  for (const row of rows) {
+    for (const key of Object.keys(totals)) totals[key] += row[key] || 0;
+  }
+  return totals;
+}
+
+function costChange(current, previous) {
+  return {
+    previous_cost: previous,
+    change: current - previous,
+    change_pct: previous ? ((current - previous) / previous) * 100 : null
+  };
+}
+
+// Spend by day/week/month and by model, provider, agent, prompt template or a metadata key,
+// split into input, output and cache costs, against the previous period of the same length
+app.get('/api/costs', validateApiKey, (req, res) => {
+  const period = req.query.period || 'day';
+  if (!COST_PERIODS[period]) {
+    return res.status(400).json({ error: `Invalid period. Must be: ${Object.keys(COST_PERIODS).join(', ')}` });
+  }
+  
+  const groupBy = req.query.group_by;
+  let groupExpr = 'NULL';
+  // Rollups only keep model, provider and agent; other groups put rolled-up cost under 'unknown'
+  let rollupGroupExpr = 'NULL';
+  if (groupBy) {
+    const metadataKey = /^metadata\.([A-Za-z0-9_]+(?:\.[A-Za-z0-9_]+)*)$/.exec(groupBy);
+    if (metadataKey) {
+      groupExpr = `COALESCE(CASE WHEN json_valid(metadata) THEN json_extract(metadata, '$.${metadataKey[1]}') END, 'unknown')`;
+      rollupGroupExpr = `'unknown'`;
+    } else if (COST_GROUPS.includes(groupBy)) {
+      groupExpr = `COALESCE(${groupBy}, 'unknown')`;
+      rollupGroupExpr = groupBy === 'prompt_template_id' ? `'unknown'` : `COALESCE(NULLIF(${groupBy}, ''), 'unknown')`;
+    } else {
+      return res.status(400).json({ error: `Invalid group_by. Must be: ${COST_GROUPS.join(', ')}, or metadata.<key>` });
+    }
+  }
+  
+  const since = new Date(req.query.since || Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const until = new Date(req.query.until || Date.now());
+  if (isNaN(since) || isNaN(until) || since >= until) {
+    return res.status(400).json({ error: 'since and until must be valid timestamps with since before until' });
+  }
+  const previousSince = new Date(since.getTime() - (until.getTime() - since.getTime()));
+  
+  const accountId = getAccountId(req);
+  const fields = buildTaskFieldFilters(req.query);
+  const rollupFields = buildRollupFilters(req.query);
+  
+  // Tasks retention has deleted are added back from their daily rollups, counted at the start
+  // of their day. Rollups keep only total cost, so it shows up as other_cost.
+  const rollupCosts = bucket => `
+      UNION ALL
+      SELECT 
+        ${bucket ? COST_PERIODS[bucket]('day') : 'NULL'}, ${rollupGroupExpr},
+        SUM(task_count), SUM(tokens_in), SUM(tokens_out), SUM(total_cost),
+        ${COST_PARTS.map(() => '0').join(', ')}
+      FROM task_rollups
+      WHERE account_id = ? AND day || 'T00:00:00.000Z' > ? AND day || 'T00:00:00.000Z' <= ?
+        AND status NOT IN ('pending', 'running', 'blocked')
+        ${rollupFields.clauses.map(clause => `AND ${clause}`).join(' ')}
+      GROUP BY 1, 2`;
+  
+  const queryCosts = (from, to, bucket) => db.prepare(`
+    SELECT 
+      period, grp,
+      SUM(requests) as requests,
+      SUM(tokens_in) as tokens_in,
+      SUM(tokens_out) as tokens_out,
+      SUM(cost) as cost,
+      ${COST_PARTS.map(part => `SUM(${part}_cost) as ${part}_cost`).join(',\n      ')}
+    FROM (
+      SELECT 
+        ${bucket ? COST_PERIODS[bucket]('created_at') : 'NULL'} as period,
+        ${groupExpr} as grp,
+        COUNT(*) as requests,
+        SUM(COALESCE(tokens_in, 0)) as tokens_in,
+        SUM(COALESCE(tokens_out, 0)) as tokens_out,
+        SUM(COALESCE(cost, 0)) as cost,
+        ${COST_PARTS.map(part => `SUM(${costPartExpr(part)}) as ${part}_cost`).join(',\n        ')}
+      FROM tasks
+      WHERE (api_key_id = ? OR account_id = ?) AND created_at > ? AND created_at <= ?
+        AND status NOT IN ('pending', 'running', 'blocked') AND ${NOT_FALLBACK_ATTEMPT}
+        ${fields.clauses.map(clause => `AND ${clause}`).join(' ')}
+      GROUP BY 1, 2
+      ${rollupFields ? rollupCosts(bucket) : ''}
+    )
+    GROUP BY period, grp
+    ORDER BY period, cost DESC
+  `).all(
+    req.apiKey?.id || null, accountId, from.toISOString(), to.toISOString(), ...fields.params,
+    ...(rollupFields ? [accountId, from.toISOString(), to.toISOString(), ...rollupFields.params] : [])
+  ).map(row => ({ ...row, other_cost: Math.max(0, row.cost - COST_PARTS.reduce((sum, part) => sum + row[`${part}_cost`], 0)) }));
+  
+  const current = queryCosts(since, until, period);
+  const previous = queryCosts(previousSince, since, null);
+  
+  const totals = sumCostRows(current);
+  const previousTotals = sumCostRows(previous);
+  
+  // Per-group totals for the whole range, most expensive first
+  const groupNames = [...new Set(current.map(row => row.grp))];
+  const groups = groupNames.map(group => {
+    const groupTotals = sumCostRows(current.filter(row => row.grp === group));
+    const previousCost = previous.find(row => row.grp === group)?.cost || 0;
+    return { group, ...groupTotals, ...costChange(groupTotals.cost, previousCost) };
+  }).sort((a, b) => b.cost - a.cost);
+  
+  const periods = [...new Set(current.map(row => row.period))].map(start => {
+    const rows = current.filter(row => row.period === start);
+    return {
+      period: start,
+      ...sumCostRows(rows),
+      ...(groupBy && { groups: rows.map(({ period, grp, ...row }) => ({ group: grp, ...row })) })
+    };
+  });
+  
+  res.json({
+    period,
+    since: since.toISOString(),
+    until: until.toISOString(),
+    group_by: groupBy || null,
+    totals: { ...totals, ...costChange(totals.cost, previousTotals.cost) },
+    previous: { since: previousSince.toISOString(), until: since.toISOString(), ...previousTotals },
+    ...(groupBy && { groups }),
+    periods
+  });
+});
+
 // Failure patterns
 app.get('/api/failures', validateApiKey, (req, res) => {
   const since = req.query.since || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
   const accountId = getAccountId(req);
   
-  const patterns = db.prepare(`
+  const groups = db.prepare(`
     SELECT 
       COALESCE(error, 'Unknown error') as error_type,
+      MIN(id) as task_id,
+      MIN(account_id) as account_id,
       COUNT(*) as count,
       GROUP_CONCAT(description, ', ') as examples
     FROM tasks
     WHERE (api_key_id = ? OR account_id = ?) AND created_at > ? AND status = 'failed'
     GROUP BY error_type
-    ORDER BY count DESC
-    LIMIT 10
   `).all(req.apiKey?.id || null, accountId, since);
   
-  res.json(patterns);
+  // Encrypted errors never compare equal in SQL, so merge the groups again once decrypted
+  const patterns = new Map();
+  for (const group of groups) {
+    const { task_id, account_id, ...rest } = group;
+    const errorType = decryptPayload(db, group.error_type, taskPayloadContext(account_id, task_id, 'error')) ?? 'Unknown error';
+    const pattern = patterns.get(errorType);
+    if (pattern) {
+      pattern.count += group.count;
+      pattern.examples += `, ${group.examples}`;
+    } else {
+      patterns.set(errorType, { ...rest, error_type: errorType });
+    }
+  }
+  
+  res.json([...patterns.values()].sort((a, b) => b.count - a.count).slice(0, 10));
 });
 
 // Task evaluation endpoint
@@ -692,6 +1772,7 @@ app.get('/api/tasks/:id/evaluate', validateApiKey, (req, res) => {
     return res.status(404).json({ error: 'Task not found' });
   }
   
+  decryptTask(db, task);
   const scores = scoreCompletion(task);
   const suggestions = generateSuggestions(task);
   
@@ -780,6 +1861,9 @@ app.post('/api/tasks/:id/retry', validateApiKey, (req, res) => {
   const { modified_prompt } = req.body;
   const retryId = crypto.randomUUID();
   const retryTraceId = crypto.randomUUID();
+  const retryMetadata = { original_task_id: originalTask.id, retry_reason: 'manual_retry', modified_prompt: !!modified_prompt };
+  const originalPrompt = decryptPayload(db, originalTask.prompt, taskPayloadContext(originalTask.account_id, originalTask.id, 'prompt'));
+  const { prompt } = redactPayloads(accountId, { prompt: modified_prompt || originalPrompt }, retryMetadata);
   
   db.prepare(`
     INSERT INTO tasks (
@@ -794,10 +1878,10 @@ app.post('/api/tasks/:id/retry', validateApiKey, (req, res) => {
     originalTask.agent_name,
     `[RETRY] ${originalTask.description}`,
     originalTask.provider,
-    JSON.stringify({ original_task_id: originalTask.id, retry_reason: 'manual_retry', modified_prompt: !!modified_prompt }),
+    JSON.stringify(retryMetadata),
     new Date().toISOString(),
     originalTask.model,
-    modified_prompt || originalTask.prompt,
+    encryptPayload(db, taskPayloadContext(accountId, retryId, 'prompt'), prompt),
     retryTraceId,
     originalTask.id
   );
@@ -807,194 +1891,2702 @@ app.post('/api/tasks/:id/retry', validateApiKey, (req, res) => {
     retry_task_id: retryId,
     original_task_id: originalTask.id,
     message: 'Retry task created.',
-    prompt_used: modified_prompt || originalTask.prompt
+    prompt_used: prompt
   });
 });
 
-// ===== UNIVERSAL AI PROXY =====
+// ===== BUDGETS & RATE LIMITS =====
 
-const MODEL_COSTS = {
-  'gpt-4': { input: 0.03, output: 0.06 },
-  'gpt-4-32k': { input: 0.06, output: 0.12 },
-  'gpt-4-turbo': { input: 0.01, output: 0.03 },
-  'gpt-4o': { input: 0.005, output: 0.015 },
-  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
-  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
-  'o1-preview': { input: 0.015, output: 0.06 },
-  'o1-mini': { input: 0.003, output: 0.012 },
-  'o1': { input: 0.015, output: 0.06 },
-  'claude-3-5-sonnet-20240620': { input: 0.003, output: 0.015 },
-  'claude-3-5-sonnet-20241022': { input: 0.003, output: 0.015 },
-  'claude-3-5-haiku-20241022': { input: 0.001, output: 0.005 },
-  'claude-3-opus-20240229': { input: 0.015, output: 0.075 },
-  'claude-3-sonnet-20240229': { input: 0.003, output: 0.015 },
-  'claude-3-haiku-20240307': { input: 0.00025, output: 0.00125 },
-  'gemini-pro': { input: 0.00025, output: 0.0005 },
-  'gemini-1.5-pro': { input: 0.00125, output: 0.005 },
-  'gemini-1.5-flash': { input: 0.000075, output: 0.0003 },
-  'grok-beta': { input: 0.005, output: 0.015 },
-  'grok-2': { input: 0.002, output: 0.01 },
+// Fallback attempts are child spans of a proxy task that already counts, so usage and
+// metrics leave them out
+const NOT_FALLBACK_ATTEMPT = `span_name IS NOT 'fallback_attempt'`;
+
+// Requests are calls that reached a provider, so cache hits don't use up a rate limit
+const BUDGET_METRICS = {
+  requests_per_minute: `COUNT(CASE WHEN (CASE WHEN json_valid(metadata) THEN json_extract(metadata, '$.cache_hit') END) IS NOT 1 THEN 1 END)`,
+  tokens_per_day: 'COALESCE(SUM(tokens_in + tokens_out), 0)',
+  cost_per_month: 'COALESCE(SUM(cost), 0)'
 };
 
-function calculateCost(model, inputTokens, outputTokens) {
-  const costs = MODEL_COSTS[model];
-  if (!costs) {
-    const matchedKey = Object.keys(MODEL_COSTS).find(key => model.includes(key) || key.includes(model));
-    if (matchedKey) {
-      const matchedCosts = MODEL_COSTS[matchedKey];
-      return (inputTokens / 1000) * matchedCosts.input + (outputTokens / 1000) * matchedCosts.output;
-    }
-    return 0;
+// Rolling minute for request rates, calendar day/month (UTC) for tokens and spend
+function getBudgetWindow(metric, now = new Date()) {
+  if (metric === 'requests_per_minute') {
+    return { start: new Date(now.getTime() - 60 * 1000), resetsAt: new Date(now.getTime() + 60 * 1000) };
   }
-  return (inputTokens / 1000) * costs.input + (outputTokens / 1000) * costs.output;
-}
-
-function getProviderEndpoint(provider) {
-  const endpoints = {
-    openai: 'https://api.openai.com/v1/chat/completions',
-    anthropic: 'https://api.anthropic.com/v1/messages',
-    google: 'https://generativelanguage.googleapis.com/v1beta/models',
-    xai: 'https://api.x.ai/v1/chat/completions',
-    openrouter: 'https://openrouter.ai/api/v1/chat/completions'
+  if (metric === 'tokens_per_day') {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+    return { start, resetsAt: new Date(start.getTime() + 24 * 60 * 60 * 1000) };
+  }
+  return {
+    start: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)),
+    resetsAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1))
   };
-  return endpoints[provider] || endpoints.openai;
 }
 
-function convertToAnthropic(openaiRequest) {
-  const { model, messages, max_tokens, temperature, stream } = openaiRequest;
-  const systemMessage = messages.find(m => m.role === 'system');
-  const otherMessages = messages.filter(m => m.role !== 'system');
+// A proxy task that fell back records the model that answered, so model budgets match the
+// model that was requested, which is what budgets are checked against
+const REQUESTED_MODEL = `COALESCE(CASE WHEN json_valid(metadata) THEN json_extract(metadata, '$.fallback.requested_model') END, model)`;
+
+function getBudgetUsage(budget, now = new Date()) {
+  const window = getBudgetWindow(budget.metric, now);
+  const scopeFilter = budget.scope === 'agent' ? 'AND agent_name = ?' : budget.scope === 'model' ? `AND ${REQUESTED_MODEL} = ?` : '';
+  const params = [budget.account_id, window.start.toISOString()];
+  if (scopeFilter) params.push(budget.scope_value);
+  
+  const { used } = db.prepare(`
+    SELECT ${BUDGET_METRICS[budget.metric]} as used
+    FROM tasks
+    WHERE account_id = ? AND created_at > ? AND status != 'blocked' AND ${NOT_FALLBACK_ATTEMPT} ${scopeFilter}
+  `).get(...params);
   
   return {
-    model: model,
-    max_tokens: max_tokens || 4096,
-    messages: otherMessages.map(m => ({ role: m.role === 'assistant' ? 'assistant' : 'user', content: m.content })),
-    ...(systemMessage && { system: systemMessage.content }),
-    ...(temperature !== undefined && { temperature }),
-    stream: stream || false
+    budget_id: budget.id,
+    scope: budget.scope,
+    scope_value: budget.scope_value,
+    metric: budget.metric,
+    enforcement: budget.enforcement,
+    limit: budget.limit_value,
+    used,
+    remaining: Math.max(0, budget.limit_value - used),
+    percent_used: budget.limit_value > 0 ? Math.round(used / budget.limit_value * 1000) / 10 : 100,
+    window_start: window.start.toISOString(),
+    resets_at: window.resetsAt.toISOString(),
+    exceeded: used >= budget.limit_value
   };
 }
 
-function convertFromAnthropic(anthropicResponse, model) {
-  return {
-    id: anthropicResponse.id || 'chatcmpl-' + crypto.randomUUID(),
-    object: 'chat.completion',
-    created: Math.floor(Date.now() / 1000),
-    model: model,
-    choices: [{ index: 0, message: { role: 'assistant', content: anthropicResponse.content?.[0]?.text || '' }, finish_reason: anthropicResponse.stop_reason === 'end_turn' ? 'stop' : anthropicResponse.stop_reason }],
-    usage: { prompt_tokens: anthropicResponse.usage?.input_tokens || 0, completion_tokens: anthropicResponse.usage?.output_tokens || 0, total_tokens: (anthropicResponse.usage?.input_tokens || 0) + (anthropicResponse.usage?.output_tokens || 0) }
-  };
+// Budgets that apply to a proxy request. `blocked` is the first exhausted hard limit,
+// `warnings` lists exhausted soft limits.
+function checkBudgets(accountId, { agentName, model }) {
+  const budgets = db.prepare(`
+    SELECT * FROM budgets
+    WHERE account_id = ? AND (
+      scope = 'account' OR (scope = 'agent' AND scope_value = ?) OR (scope = 'model' AND scope_value = ?)
+    )
+  `).all(accountId, agentName, model);
+  
+  const result = { blocked: null, warnings: [] };
+  for (const budget of budgets) {
+    const usage = getBudgetUsage(budget);
+    if (!usage.exceeded) continue;
+    if (budget.enforcement === 'hard') {
+      result.blocked = result.blocked || usage;
+    } else {
+      result.warnings.push(usage);
+    }
+  }
+  return result;
 }
 
-function convertToGemini(openaiRequest) {
-  const { messages, max_tokens, temperature } = openaiRequest;
-  const systemMessage = messages.find(m => m.role === 'system');
-  const otherMessages = messages.filter(m => m.role !== 'system');
-  
-  return {
-    contents: otherMessages.map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] })),
-    ...(systemMessage && { systemInstruction: { parts: [{ text: systemMessage.content }] } }),
-    generationConfig: { ...(max_tokens && { maxOutputTokens: max_tokens }), ...(temperature !== undefined && { temperature }) }
-  };
+function describeBudget(usage) {
+  const scope = usage.scope === 'account' ? 'account' : `${usage.scope} "${usage.scope_value}"`;
+  return `${usage.metric} limit of ${usage.limit} reached for ${scope} (used ${Math.round(usage.used * 10000) / 10000})`;
 }
 
-function convertFromGemini(geminiResponse, model) {
-  const candidate = geminiResponse.candidates?.[0];
-  const content = candidate?.content?.parts?.[0]?.text || '';
-  return {
-    id: 'chatcmpl-' + crypto.randomUUID(),
-    object: 'chat.completion',
-    created: Math.floor(Date.now() / 1000),
-    model: model,
-    choices: [{ index: 0, message: { role: 'assistant', content: content }, finish_reason: candidate?.finishReason === 'STOP' ? 'stop' : 'length' }],
-    usage: { prompt_tokens: geminiResponse.usageMetadata?.promptTokenCount || 0, completion_tokens: geminiResponse.usageMetadata?.candidatesTokenCount || 0, total_tokens: geminiResponse.usageMetadata?.totalTokenCount || 0 }
-  };
+// Log a request rejected by a hard budget limit
+function logBlockedTask(usage, { accountId, agentName, description, provider, model, prompt, metadata }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const taskMetadata = { ...metadata, budget: { id: usage.budget_id, metric: usage.metric, limit: usage.limit, used: usage.used } };
+  const payload = preparePayloads(accountId, id, { prompt }, taskMetadata);
+  
+  db.prepare(`
+    INSERT INTO tasks (
+      id, account_id, agent_name, description, status, duration_ms, cost, error, provider, metadata, created_at,
+      model, prompt, trace_id, started_at, completed_at
+    )
+    VALUES (?, ?, ?, ?, 'blocked', 0, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    accountId,
+    agentName,
+    description,
+    prepareError(accountId, id, `Budget exceeded: ${describeBudget(usage)}`),
+    provider,
+    JSON.stringify(taskMetadata),
+    now,
+    model,
+    payload.prompt,
+    crypto.randomUUID(),
+    now,
+    now
+  );
+  
+  publishTaskEvent(id, { created: true });
 }
 
-function estimateTokens(text) {
-  if (!text) return 0;
-  return Math.ceil(text.length / 4);
+// Apply budgets to a proxy request. Returns the exhausted hard limit (after logging the
+// blocked task and setting Retry-After), or null; soft warnings go on a header + metadata.
+function enforceBudgets(res, task) {
+  const { blocked, warnings } = checkBudgets(task.accountId, task);
+  
+  if (warnings.length > 0) {
+    task.metadata.budget_warnings = warnings.map(w => ({ id: w.budget_id, metric: w.metric, limit: w.limit, used: w.used }));
+    res.set('X-AgentLog-Budget-Warning', warnings.map(describeBudget).join('; '));
+  }
+  
+  if (!blocked) return null;
+  
+  logBlockedTask(blocked, task);
+  res.set('Retry-After', String(Math.max(1, Math.ceil((new Date(blocked.resets_at) - Date.now()) / 1000))));
+  console.log(`[BUDGET] ✗ Blocked ${task.model} | Account ${task.accountId.substring(0, 8)}... | ${describeBudget(blocked)}`);
+  return blocked;
 }
 
-// NEW: Universal proxy that accepts provider key directly
-app.post('/v1/chat/completions', async (req, res) => {
-  const startTime = Date.now();
-  const { model, messages, stream, ...rest } = req.body;
+app.post('/api/budgets', validateApiKey, (req, res) => {
+  const { scope = 'account', scope_value, metric, limit, enforcement = 'hard' } = req.body;
   
-  if (!model || !messages) {
-    return res.status(400).json({ error: 'model and messages are required' });
+  if (!['account', 'agent', 'model'].includes(scope)) {
+    return res.status(400).json({ error: 'Invalid scope. Must be: account, agent, or model' });
   }
   
-  // Get provider key from Authorization header directly
-  const authHeader = req.headers.authorization;
-  if (!authHeader?.startsWith('Bearer ')) {
-    return res.status(401).json({ 
-      error: 'Missing Authorization header',
-      message: 'Pass your provider API key (OpenAI, Anthropic, etc.) in the Authorization header'
-    });
+  if (scope !== 'account' && !scope_value) {
+    return res.status(400).json({ error: `scope_value is required for ${scope} budgets` });
   }
   
-  const providerKey = authHeader.replace('Bearer ', '');
+  if (!BUDGET_METRICS[metric]) {
+    return res.status(400).json({ error: 'Invalid metric. Must be: ' + Object.keys(BUDGET_METRICS).join(', ') });
+  }
   
-  // Detect provider from key or model
-  let provider = detectProviderFromKey(providerKey);
-  if (!provider) {
-    provider = detectProviderFromModel(model);
+  if (typeof limit !== 'number' || limit < 0) {
+    return res.status(400).json({ error: 'limit must be a non-negative number' });
   }
   
-  // Hash key and get/create account
-  const keyHash = hashKey(providerKey);
-  const account = getOrCreateAccount(keyHash, provider);
+  if (!['hard', 'soft'].includes(enforcement)) {
+    return res.status(400).json({ error: 'Invalid enforcement. Must be: hard or soft' });
+  }
   
-  const taskId = crypto.randomUUID();
-  const traceId = crypto.randomUUID();
-  const promptText = messages.map(m => `${m.role}: ${m.content}`).join('\n');
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  
+  db.prepare(`
+    INSERT INTO budgets (id, api_key_id, account_id, scope, scope_value, metric, limit_value, enforcement, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    id,
+    req.apiKey?.id || null,
+    getAccountId(req),
+    scope,
+    scope === 'account' ? null : scope_value,
+    metric,
+    limit,
+    enforcement,
+    now,
+    now
+  );
+  
+  res.json({ id, scope, scope_value: scope === 'account' ? null : scope_value, metric, limit, enforcement, message: 'Budget created' });
+});
+
+app.get('/api/budgets', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  
+  const budgets = db.prepare(`
+    SELECT * FROM budgets WHERE (api_key_id = ? OR account_id = ?) ORDER BY scope, scope_value, metric
+  `).all(req.apiKey?.id || null, accountId);
+  
+  res.json(budgets);
+});
+
+// Current consumption against every budget
+app.get('/api/budgets/status', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  
+  const budgets = db.prepare(`
+    SELECT * FROM budgets WHERE (api_key_id = ? OR account_id = ?) ORDER BY scope, scope_value, metric
+  `).all(req.apiKey?.id || null, accountId);
+  
+  const now = new Date();
+  res.json({
+    checked_at: now.toISOString(),
+    budgets: budgets.map(b => getBudgetUsage(b, now))
+  });
+});
+
+app.put('/api/budgets/:id', validateApiKey, (req, res) => {
+  const { limit, enforcement } = req.body;
+  
+  if (limit !== undefined && (typeof limit !== 'number' || limit < 0)) {
+    return res.status(400).json({ error: 'limit must be a non-negative number' });
+  }
+  
+  if (enforcement !== undefined && !['hard', 'soft'].includes(enforcement)) {
+    return res.status(400).json({ error: 'Invalid enforcement. Must be: hard or soft' });
+  }
+  
+  const accountId = getAccountId(req);
+  
+  const result = db.prepare(`
+    UPDATE budgets SET limit_value = COALESCE(?, limit_value), enforcement = COALESCE(?, enforcement), updated_at = ?
+    WHERE id = ? AND (api_key_id = ? OR account_id = ?)
+  `).run(limit ?? null, enforcement || null, new Date().toISOString(), req.params.id, req.apiKey?.id || null, accountId);
+  
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Budget not found' });
+  }
+  
+  res.json(db.prepare('SELECT * FROM budgets WHERE id = ?').get(req.params.id));
+});
+
+app.delete('/api/budgets/:id', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  
+  const result = db.prepare(`
+    DELETE FROM budgets WHERE id = ? AND (api_key_id = ? OR account_id = ?)
+  `).run(req.params.id, req.apiKey?.id || null, accountId);
+  
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Budget not found' });
+  }
+  
+  res.json({ success: true, id: req.params.id });
+});
+
+// ===== RESPONSE CACHE =====
+
+const CACHE_DEFAULTS = { enabled: 0, ttl_seconds: 86400, max_entries: 1000, deterministic_only: 1 };
+
+function getCacheSettings(accountId) {
+  const settings = db.prepare('SELECT * FROM cache_settings WHERE account_id = ?').get(accountId);
+  return { ...CACHE_DEFAULTS, ...settings };
+}
+
+// JSON with object keys sorted, so equivalent request bodies hash the same
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Cache key for a proxy request, or null when this request shouldn't use the cache.
+// X-AgentLog-Cache: true|false overrides the account setting; streamed requests are never cached.
+function getCacheKey(req, accountId, endpoint) {
+  const { stream, ...body } = req.body;
+  if (stream) return null;
+  
+  const header = req.headers['x-agentlog-cache'];
+  if (header === 'false') return null;
+  if (header !== 'true') {
+    const settings = getCacheSettings(accountId);
+    if (!settings.enabled) return null;
+    if (settings.deterministic_only && body.temperature !== 0) return null;
+  }
+  
+  return hashKey(`${endpoint}\n${canonicalJson(body)}`);
+}
+
+function cachePayloadContext(accountId, cacheKey, column) {
+  return { accountId, column: `response_cache.${column}`, rowId: cacheKey };
+}
+
+function getCachedResponse(accountId, cacheKey) {
+  const entry = db.prepare(`
+    SELECT * FROM response_cache WHERE account_id = ? AND cache_key = ? AND expires_at > ?
+  `).get(accountId, cacheKey, new Date().toISOString());
+  if (!entry) return null;
+  
+  // Entries under a key that can no longer be decrypted count as misses
+  entry.response = decryptPayload(db, entry.response, cachePayloadContext(accountId, cacheKey, 'response'));
+  entry.completion = decryptPayload(db, entry.completion, cachePayloadContext(accountId, cacheKey, 'completion'));
+  return entry.response === null ? null : entry;
+}
+
+// Cached responses are replayed verbatim, so they can't be redacted. Accounts with redaction
+// on get no caching rather than unredacted copies of their completions.
+function storeCachedResponse(accountId, cacheKey, { endpoint, model, response, completion, taskId }) {
+  if (getRedactionSettings(accountId).enabled) return;
+  const settings = getCacheSettings(accountId);
+  const body = JSON.stringify(response);
+  const now = new Date();
+  
+  db.prepare(`
+    INSERT OR REPLACE INTO response_cache (
+      account_id, cache_key, endpoint, model, response, completion, source_task_id, size_bytes, created_at, expires_at
+    )
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    accountId,
+    cacheKey,
+    endpoint,
+    model,
+    encryptPayload(db, cachePayloadContext(accountId, cacheKey, 'response'), body),
+    encryptPayload(db, cachePayloadContext(accountId, cacheKey, 'completion'), completion),
+    taskId,
+    Buffer.byteLength(body),
+    now.toISOString(),
+    new Date(now.getTime() + settings.ttl_seconds * 1000).toISOString()
+  );
+  
+  // Evict expired entries, then the least recently used beyond max_entries
+  db.prepare('DELETE FROM response_cache WHERE account_id = ? AND expires_at <= ?').run(accountId, now.toISOString());
+  db.prepare(`
+    DELETE FROM response_cache WHERE account_id = ? AND cache_key NOT IN (
+      SELECT cache_key FROM response_cache WHERE account_id = ?
+      ORDER BY COALESCE(last_hit_at, created_at) DESC
+      LIMIT ?
+    )
+  `).run(accountId, accountId, settings.max_entries);
+}
+
+// Log a request answered from the cache as a zero-cost task
+function logCacheHit(entry, { accountId, agentName, description, provider, model, prompt, metadata, originalRequest, startTime }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+  const taskMetadata = { ...metadata, cache_hit: true, cached_task_id: entry.source_task_id };
+  const payload = preparePayloads(accountId, id, { prompt, completion: entry.completion, original_request: originalRequest }, taskMetadata);
+  
+  db.prepare(`
+    INSERT INTO tasks (
+      id, account_id, agent_name, description, status, duration_ms, cost, provider, metadata, created_at,
+      model, prompt, completion, tokens_in, tokens_out, trace_id, started_at, completed_at, original_request
+    )
+    VALUES (?, ?, ?, ?, 'success', ?, 0, ?, ?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?)
+  `).run(
+    id,
+    accountId,
+    agentName,
+    description,
+    Date.now() - startTime,
+    provider,
+    JSON.stringify(taskMetadata),
+    now,
+    model,
+    payload.prompt,
+    payload.completion,
+    crypto.randomUUID(),
+    now,
+    now,
+    payload.original_request
+  );
+  
+  db.prepare('UPDATE response_cache SET hit_count = hit_count + 1, last_hit_at = ? WHERE account_id = ? AND cache_key = ?')
+    .run(now, accountId, entry.cache_key);
+  
+  publishTaskEvent(id, { created: true });
+  return id;
+}
+
+app.get('/api/cache', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  const { account_id, updated_at, ...settings } = getCacheSettings(accountId);
+  
+  const stats = db.prepare(`
+    SELECT 
+      COUNT(*) as entries,
+      COALESCE(SUM(size_bytes), 0) as size_bytes,
+      COALESCE(SUM(hit_count), 0) as total_hits,
+      MIN(created_at) as oldest_entry,
+      MAX(created_at) as newest_entry
+    FROM response_cache
+    WHERE account_id = ? AND expires_at > ?
+  `).get(accountId, new Date().toISOString());
+  
+  res.json({ settings: { ...settings, enabled: !!settings.enabled, deterministic_only: !!settings.deterministic_only }, stats });
+});
+
+app.put('/api/cache/settings', validateApiKey, (req, res) => {
+  const { enabled, ttl_seconds, max_entries, deterministic_only } = req.body;
+  
+  if (ttl_seconds !== undefined && !(Number.isInteger(ttl_seconds) && ttl_seconds > 0)) {
+    return res.status(400).json({ error: 'ttl_seconds must be a positive integer' });
+  }
+  
+  if (max_entries !== undefined && !(Number.isInteger(max_entries) && max_entries > 0)) {
+    return res.status(400).json({ error: 'max_entries must be a positive integer' });
+  }
+  
+  const accountId = getAccountId(req);
+  const current = getCacheSettings(accountId);
+  const settings = {
+    enabled: enabled === undefined ? current.enabled : (enabled ? 1 : 0),
+    ttl_seconds: ttl_seconds ?? current.ttl_seconds,
+    max_entries: max_entries ?? current.max_entries,
+    deterministic_only: deterministic_only === undefined ? current.deterministic_only : (deterministic_only ? 1 : 0)
+  };
+  
+  db.prepare(`
+    INSERT OR REPLACE INTO cache_settings (account_id, enabled, ttl_seconds, max_entries, deterministic_only, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(accountId, settings.enabled, settings.ttl_seconds, settings.max_entries, settings.deterministic_only, new Date().toISOString());
+  
+  res.json({
+    success: true,
+    settings: { ...settings, enabled: !!settings.enabled, deterministic_only: !!settings.deterministic_only }
+  });
+});
+
+// Purge cached responses (optionally only for one model)
+app.delete('/api/cache', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  const { model } = req.query;
+  
+  const result = model
+    ? db.prepare('DELETE FROM response_cache WHERE account_id = ? AND model = ?').run(accountId, model)
+    : db.prepare('DELETE FROM response_cache WHERE account_id = ?').run(accountId);
+  
+  res.json({ success: true, purged: result.changes });
+});
+
+// ===== PAYLOAD REDACTION =====
+
+// Built-in detectors, applied in this order (secrets first, so a key isn't half-eaten by the
+// phone pattern). Each `validate` gets the match and can reject false positives.
+const REDACTION_DETECTORS = {
+  private_key: { pattern: /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g },
+  api_key: {
+    pattern: /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|AIza[0-9A-Za-z_-]{35}|xai-[A-Za-z0-9]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|AKIA[0-9A-Z]{16}|xox[abprs]-[A-Za-z0-9-]{10,}|agentlog_[a-f0-9]{32}|eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,})/g
+  },
+  email: { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+  credit_card: { pattern: /\b(?:\d[ -]?){12,18}\d\b/g, validate: match => passesLuhn(match.replace(/\D/g, '')) },
+  ssn: { pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  iban: { pattern: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g },
+  phone: { pattern: /(?<![\w+]|\d[ .-])(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)[ .-]?|\d{2,4}[ .-])\d{3,4}[ .-]?\d{3,4}(?!\w|[ .-]\d)/g },
+  ip_address: { pattern: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g }
+};
+const REDACTION_MODES = ['mask', 'hash', 'drop'];
+const MAX_CUSTOM_PATTERNS = 20;
+const MAX_CUSTOM_PATTERN_LENGTH = 500;
+
+function passesLuhn(digits) {
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function getRedactionSettings(accountId) {
+  const row = db.prepare('SELECT * FROM redaction_settings WHERE account_id = ?').get(accountId);
+  if (!row) return { enabled: false, mode: 'mask', detectors: Object.keys(REDACTION_DETECTORS), custom_patterns: [], updated_at: null };
+  return {
+    enabled: !!row.enabled,
+    mode: row.mode,
+    detectors: JSON.parse(row.detectors),
+    custom_patterns: JSON.parse(row.custom_patterns),
+    hash_salt: row.hash_salt,
+    updated_at: row.updated_at
+  };
+}
+
+// Custom patterns run on every payload, so reject ones that can't compile or that nest
+// quantifiers (the usual source of catastrophic backtracking)
+function validateCustomPattern(entry) {
+  if (!entry || typeof entry.name !== 'string' || !/^[A-Za-z0-9_-]{1,50}$/.test(entry.name)) {
+    return 'each custom pattern needs a name of letters, digits, _ or - (max 50)';
+  }
+  if (REDACTION_DETECTORS[entry.name]) return `custom pattern name "${entry.name}" is a built-in detector`;
+  if (typeof entry.pattern !== 'string' || !entry.pattern || entry.pattern.length > MAX_CUSTOM_PATTERN_LENGTH) {
+    return `pattern for "${entry.name}" must be a non-empty string of at most ${MAX_CUSTOM_PATTERN_LENGTH} characters`;
+  }
+  if (/\([^)]*[+*][^)]*\)[+*{]/.test(entry.pattern)) {
+    return `pattern for "${entry.name}" nests quantifiers, which can hang the server`;
+  }
+  try {
+    new RegExp(entry.pattern, 'g' + (entry.flags || '').replace(/g/g, ''));
+  } catch (error) {
+    return `pattern for "${entry.name}" is invalid: ${error.message}`;
+  }
+  return null;
+}
+
+// The detectors an account has enabled, custom patterns after the built-ins
+function buildRedactors(settings) {
+  const redactors = Object.entries(REDACTION_DETECTORS)
+    .filter(([name]) => settings.detectors.includes(name))
+    .map(([name, detector]) => ({ name, pattern: detector.pattern, validate: detector.validate }));
+  for (const custom of settings.custom_patterns) {
+    redactors.push({ name: custom.name, pattern: new RegExp(custom.pattern, 'g' + (custom.flags || '').replace(/g/g, '')) });
+  }
+  return redactors;
+}
+
+// Redact one string. Returns the text to store (null when mode is drop and anything matched)
+// and adds the number of matches per detector to counts.
+function redactText(text, redactors, settings, counts) {
+  if (typeof text !== 'string' || !text) return text;
+  let found = false;
+  
+  for (const { name, pattern, validate } of redactors) {
+    text = text.replace(pattern, match => {
+      if (validate && !validate(match)) return match;
+      counts[name] = (counts[name] || 0) + 1;
+      found = true;
+      if (settings.mode === 'hash') {
+        // Same value, same pseudonym, within an account
+        return `[${name}:${crypto.createHmac('sha256', settings.hash_salt).update(match).digest('hex').substring(0, 12)}]`;
+      }
+      return `[REDACTED:${name}]`;
+    });
+  }
+  
+  return found && settings.mode === 'drop' ? null : text;
+}
+
+// original_request is JSON; redact its string values so the result stays valid JSON
+function redactJsonText(json, redactors, settings, counts) {
+  if (typeof json !== 'string' || !json) return json;
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (e) {
+    return redactText(json, redactors, settings, counts);
+  }
+  
+  // Strings are masked individually; drop mode then drops the whole request
+  const found = {};
+  const stringSettings = settings.mode === 'drop' ? { ...settings, mode: 'mask' } : settings;
+  const walk = value => {
+    if (typeof value === 'string') return redactText(value, redactors, stringSettings, found);
+    if (Array.isArray(value)) return value.map(walk);
+    if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, walk(item)]));
+    return value;
+  };
+  const redacted = walk(parsed);
+  
+  for (const [name, count] of Object.entries(found)) counts[name] = (counts[name] || 0) + count;
+  if (Object.keys(found).length > 0 && settings.mode === 'drop') return null;
+  return JSON.stringify(redacted);
+}
+
+// Run the account's redaction over payload fields ({ prompt, completion, original_request })
+// before they're written. Returns the values to store; per-detector counts are added to
+// metadata.redactions (metadata is the task metadata object about to be saved).
+function redactPayloads(accountId, fields, metadata) {
+  const settings = getRedactionSettings(accountId);
+  if (!settings.enabled) return fields;
+  
+  const redactors = buildRedactors(settings);
+  const counts = {};
+  const result = {};
+  for (const [field, value] of Object.entries(fields)) {
+    result[field] = field === 'original_request'
+      ? redactJsonText(value, redactors, settings, counts)
+      : redactText(value, redactors, settings, counts);
+  }
+  
+  if (metadata && typeof metadata === 'object' && Object.keys(counts).length > 0) {
+    const merged = { ...(metadata.redactions || {}) };
+    for (const [name, count] of Object.entries(counts)) merged[name] = (merged[name] || 0) + count;
+    metadata.redactions = merged;
+  }
+  return result;
+}
+
+// Payload fields as they're stored: redacted, then encrypted when AGENTLOG_MASTER_KEY is set
+// (see encryption.js). error counts as a payload, since provider errors often echo the prompt.
+function preparePayloads(accountId, taskId, fields, metadata) {
+  const redacted = redactPayloads(accountId, fields, metadata);
+  return Object.fromEntries(Object.entries(redacted).map(([field, value]) => [
+    field,
+    encryptPayload(db, taskPayloadContext(accountId, taskId, field), value)
+  ]));
+}
+
+// An error message as it's stored, for writes that don't also carry a prompt or completion
+function prepareError(accountId, taskId, message) {
+  return preparePayloads(accountId, taskId, { error: message }).error;
+}
+
+app.get('/api/redaction', validateApiKey, (req, res) => {
+  const { hash_salt, ...settings } = getRedactionSettings(getAccountId(req));
+  res.json({ settings, available_detectors: Object.keys(REDACTION_DETECTORS), modes: REDACTION_MODES });
+});
+
+// Configure redaction. Applies to payloads written from now on; stored tasks are not rewritten.
+app.put('/api/redaction', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  const current = getRedactionSettings(accountId);
+  const { enabled = current.enabled, mode = current.mode, detectors = current.detectors, custom_patterns = current.custom_patterns } = req.body;
+  
+  if (!REDACTION_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${REDACTION_MODES.join(', ')}` });
+  }
+  if (!Array.isArray(detectors) || detectors.some(name => !REDACTION_DETECTORS[name])) {
+    return res.status(400).json({ error: `detectors must be a list of: ${Object.keys(REDACTION_DETECTORS).join(', ')}` });
+  }
+  if (!Array.isArray(custom_patterns) || custom_patterns.length > MAX_CUSTOM_PATTERNS) {
+    return res.status(400).json({ error: `custom_patterns must be a list of at most ${MAX_CUSTOM_PATTERNS} { name, pattern, flags } entries` });
+  }
+  for (const entry of custom_patterns) {
+    const error = validateCustomPattern(entry);
+    if (error) return res.status(400).json({ error });
+  }
+  
+  const settings = {
+    enabled: !!enabled,
+    mode,
+    detectors,
+    custom_patterns: custom_patterns.map(({ name, pattern, flags }) => ({ name, pattern, ...(flags && { flags }) })),
+    updated_at: new Date().toISOString()
+  };
+  
+  db.prepare(`
+    INSERT OR REPLACE INTO redaction_settings (account_id, enabled, mode, detectors, custom_patterns, hash_salt, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    accountId,
+    settings.enabled ? 1 : 0,
+    settings.mode,
+    JSON.stringify(settings.detectors),
+    JSON.stringify(settings.custom_patterns),
+    current.hash_salt || crypto.randomBytes(32).toString('hex'),
+    settings.updated_at
+  );
+  
+  // Cached responses hold unredacted completions; with redaction on they aren't kept at all
+  const purged = settings.enabled ? db.prepare('DELETE FROM response_cache WHERE account_id = ?').run(accountId).changes : 0;
+  
+  res.json({ success: true, settings, cache_purged: purged });
+});
+
+// Try the current settings (or ones passed in the body) on a sample text without storing anything
+app.post('/api/redaction/test', validateApiKey, (req, res) => {
+  const { text, ...overrides } = req.body;
+  if (typeof text !== 'string') {
+    return res.status(400).json({ error: 'text is required' });
+  }
+  
+  const current = getRedactionSettings(getAccountId(req));
+  const settings = { ...current, ...overrides, enabled: true, hash_salt: current.hash_salt || 'preview' };
+  if (!REDACTION_MODES.includes(settings.mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${REDACTION_MODES.join(', ')}` });
+  }
+  if (!Array.isArray(settings.detectors) || settings.detectors.some(name => !REDACTION_DETECTORS[name]) || !Array.isArray(settings.custom_patterns)) {
+    return res.status(400).json({ error: 'Invalid detectors or custom_patterns' });
+  }
+  for (const entry of settings.custom_patterns) {
+    const error = validateCustomPattern(entry);
+    if (error) return res.status(400).json({ error });
+  }
+  
+  const counts = {};
+  const redacted = redactText(text, buildRedactors(settings), settings, counts);
+  res.json({ redacted, redactions: counts });
+});
+
+// ===== LIVE EVENTS =====
+
+// Task lifecycle events. Each one is stored (so reconnecting clients can resume from
+// Last-Event-ID) and then handed to open /api/events streams in this process.
+const taskEvents = new EventEmitter();
+taskEvents.setMaxListeners(0);
+
+const TASK_EVENT_TTL_MS = (parseInt(process.env.AGENTLOG_EVENT_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const EVENT_REPLAY_BATCH_SIZE = 500;
+const EVENT_HEARTBEAT_MS = 25 * 1000;
+const FINISHED_STATUSES = ['success', 'failed', 'slow', 'blocked'];
+
+// Task fields sent with each event; prompts and completions stay out (GET /api/tasks/:id has them)
+const TASK_EVENT_FIELDS = [
+  'id', 'agent_name', 'description', 'status', 'provider', 'model', 'trace_id', 'parent_id', 'span_name',
+  'duration_ms', 'cost', 'tokens_in', 'tokens_out', 'error', 'created_at', 'started_at', 'completed_at'
+];
+
+// Publish a task's current state: task.started for new unfinished tasks, task.updated for
+// later changes, task.completed once it has finished. Never fails the calling request.
+function publishTaskEvent(taskId, { created = false } = {}) {
+  try {
+    const task = db.prepare(`SELECT api_key_id, account_id, ${TASK_EVENT_FIELDS.join(', ')} FROM tasks WHERE id = ?`).get(taskId);
+    if (!task) return;
+    
+    const event = {
+      account_id: task.account_id,
+      api_key_id: task.api_key_id,
+      type: FINISHED_STATUSES.includes(task.status) ? 'task.completed' : created ? 'task.started' : 'task.updated',
+      task_id: task.id,
+      agent_name: task.agent_name,
+      trace_id: task.trace_id,
+      status: task.status,
+      data: JSON.stringify(Object.fromEntries(TASK_EVENT_FIELDS.map(field => [field, task[field]]))),
+      created_at: new Date().toISOString()
+    };
+    event.id = Number(db.prepare(`
+      INSERT INTO task_events (account_id, api_key_id, type, task_id, agent_name, trace_id, status, data, created_at)
+      VALUES (@account_id, @api_key_id, @type, @task_id, @agent_name, @trace_id, @status, @data, @created_at)
+    `).run(event).lastInsertRowid);
+    
+    taskEvents.emit('event', event);
+  } catch (error) {
+    console.error(`[EVENTS] ✗ ${taskId} | ${error.message}`);
+  }
+}
+
+function pruneTaskEvents() {
+  const cutoff = new Date(Date.now() - TASK_EVENT_TTL_MS).toISOString();
+  const { changes } = db.prepare('DELETE FROM task_events WHERE created_at < ?').run(cutoff);
+  if (changes > 0) console.log(`[EVENTS] Pruned ${changes} events`);
+}
+
+setInterval(pruneTaskEvents, 60 * 60 * 1000).unref();
+
+// Server-Sent Events stream of the caller's task events. Filters take comma-separated
+// values: agent_name, trace_id, status, type. Pass Last-Event-ID (header or ?last_event_id=)
+// to first replay what was missed.
+app.get('/api/events', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  const apiKeyId = req.apiKey?.id || null;
+  
+  const filters = {};
+  for (const field of ['agent_name', 'trace_id', 'status', 'type']) {
+    if (req.query[field] !== undefined) filters[field] = String(req.query[field]).split(',');
+  }
+  
+  const rawLastEventId = req.get('Last-Event-ID') ?? req.query.last_event_id;
+  const lastEventId = rawLastEventId === undefined ? null : Number(rawLastEventId);
+  if (lastEventId !== null && !(Number.isInteger(lastEventId) && lastEventId >= 0)) {
+    return res.status(400).json({ error: 'Last-Event-ID must be an event id' });
+  }
+  
+  const isVisible = event => (event.account_id === accountId || (apiKeyId && event.api_key_id === apiKeyId))
+    && Object.entries(filters).every(([field, values]) => values.includes(event[field]));
+  
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+  
+  let lastSentId = lastEventId ?? 0;
+  const send = event => {
+    if (event.id <= lastSentId || !isVisible(event)) return;
+    lastSentId = event.id;
+    // Event data keeps the task's error encrypted; decrypt it on the way out
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(decryptTask(db, JSON.parse(event.data), event.account_id))}\n\n`);
+  };
+  
+  // Replay runs synchronously, so no live event can slip in between it and subscribing
+  if (lastEventId !== null) {
+    const missed = db.prepare(`
+      SELECT * FROM task_events
+      WHERE id > ? AND (account_id = ? OR api_key_id = ?)
+      ORDER BY id
+      LIMIT ?
+    `);
+    let batch;
+    do {
+      batch = missed.all(lastSentId, accountId, apiKeyId, EVENT_REPLAY_BATCH_SIZE);
+      batch.forEach(send);
+      // Filtered-out events still advance the cursor
+      if (batch.length > 0) lastSentId = Math.max(lastSentId, batch[batch.length - 1].id);
+    } while (batch.length === EVENT_REPLAY_BATCH_SIZE);
+  } else {
+    // Start from the latest event so only new ones are sent
+    lastSentId = db.prepare('SELECT MAX(id) as id FROM task_events').get().id || 0;
+  }
+  
+  taskEvents.on('event', send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), EVENT_HEARTBEAT_MS);
+  
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    taskEvents.off('event', send);
+  });
+});
+
+// ===== DATA RETENTION =====
+
+const RETENTION_BATCH_SIZE = 5000;
+const RETENTION_INTERVAL_MS = parseInt(process.env.AGENTLOG_RETENTION_INTERVAL_MS) || 60 * 60 * 1000;
+
+function getRetentionSettings(accountId) {
+  return db.prepare('SELECT payload_days, metrics_days, delete_days, updated_at FROM retention_settings WHERE account_id = ?').get(accountId)
+    || { payload_days: null, metrics_days: null, delete_days: null, updated_at: null };
+}
+
+// Repeat a LIMIT-ed write until a batch comes back short, keeping each statement small
+function runInBatches(sql, params) {
+  const statement = db.prepare(sql);
+  let total = 0;
+  while (true) {
+    const { changes } = statement.run(...params, RETENTION_BATCH_SIZE);
+    total += changes;
+    if (changes < RETENTION_BATCH_SIZE) return total;
+  }
+}
+
+// Apply one account's policy: strip payloads after payload_days, fold tasks into daily
+// rollups and delete them after metrics_days, and delete everything after delete_days.
+// Fallback attempts are left out of rollups, like they are from metrics.
+function applyRetention(accountId, settings, now = Date.now()) {
+  const cutoff = days => new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+  const result = { payloads_stripped: 0, tasks_deleted: 0, rollups_updated: 0, rollups_deleted: 0 };
+  
+  if (settings.payload_days) {
+    result.payloads_stripped = runInBatches(`
+      UPDATE tasks SET prompt = NULL, completion = NULL, original_request = NULL, error = NULL
+      WHERE rowid IN (
+        SELECT rowid FROM tasks
+        WHERE (api_key_id = ? OR account_id = ?) AND created_at < ?
+          AND (prompt IS NOT NULL OR completion IS NOT NULL OR original_request IS NOT NULL OR error IS NOT NULL)
+        LIMIT ?
+      )
+    `, [accountId, accountId, cutoff(settings.payload_days)]);
+    db.prepare('DELETE FROM response_cache WHERE account_id = ? AND created_at < ?').run(accountId, cutoff(settings.payload_days));
+  }
+  
+  const taskDays = settings.metrics_days || settings.delete_days;
+  if (taskDays) {
+    const taskCutoff = cutoff(taskDays);
+    
+    // One transaction, so a failure can't leave tasks both rolled up and still present
+    db.transaction(() => {
+      // Rollups are only worth keeping if they outlive the tasks
+      if (settings.metrics_days && (!settings.delete_days || settings.delete_days > settings.metrics_days)) {
+        result.rollups_updated = db.prepare(`
+          INSERT INTO task_rollups (
+            account_id, day, agent_name, model, provider, status,
+            task_count, total_duration_ms, max_duration_ms, total_cost, tokens_in, tokens_out
+          )
+          SELECT 
+            ?, date(created_at), agent_name, COALESCE(model, ''), COALESCE(provider, ''), status,
+            COUNT(*), SUM(duration_ms), MAX(duration_ms), SUM(COALESCE(cost, 0)), SUM(COALESCE(tokens_in, 0)), SUM(COALESCE(tokens_out, 0))
+          FROM tasks
+          WHERE (api_key_id = ? OR account_id = ?) AND created_at < ? AND ${NOT_FALLBACK_ATTEMPT}
+          GROUP BY date(created_at), agent_name, COALESCE(model, ''), COALESCE(provider, ''), status
+          ON CONFLICT (account_id, day, agent_name, model, provider, status) DO UPDATE SET
+            task_count = task_count + excluded.task_count,
+            total_duration_ms = total_duration_ms + excluded.total_duration_ms,
+            max_duration_ms = MAX(max_duration_ms, excluded.max_duration_ms),
+            total_cost = total_cost + excluded.total_cost,
+            tokens_in = tokens_in + excluded.tokens_in,
+            tokens_out = tokens_out + excluded.tokens_out
+        `).run(accountId, accountId, accountId, taskCutoff).changes;
+      }
+      
+      db.prepare(`DELETE FROM openai_responses WHERE account_id = ? AND created_at < ?`).run(accountId, taskCutoff);
+      result.tasks_deleted = runInBatches(`
+        DELETE FROM tasks WHERE rowid IN (
+          SELECT rowid FROM tasks WHERE (api_key_id = ? OR account_id = ?) AND created_at < ? LIMIT ?
+        )
+      `, [accountId, accountId, taskCutoff]);
+    })();
+  }
+  
+  if (settings.delete_days) {
+    result.rollups_deleted = db.prepare('DELETE FROM task_rollups WHERE account_id = ? AND day < ?')
+      .run(accountId, cutoff(settings.delete_days).slice(0, 10)).changes;
+  }
+  
+  return result;
+}
+
+function runRetention() {
+  const policies = db.prepare(`
+    SELECT * FROM retention_settings
+    WHERE payload_days IS NOT NULL OR metrics_days IS NOT NULL OR delete_days IS NOT NULL
+  `).all();
+  
+  for (const policy of policies) {
+    try {
+      const result = applyRetention(policy.account_id, policy);
+      if (Object.values(result).some(Boolean)) {
+        console.log(`[RETENTION] Account ${policy.account_id.substring(0, 8)}... | ${result.payloads_stripped} payloads stripped | ${result.tasks_deleted} tasks deleted | ${result.rollups_deleted} rollups deleted`);
+      }
+    } catch (error) {
+      console.error(`[RETENTION] ✗ Account ${policy.account_id.substring(0, 8)}... | ${error.message}`);
+    }
+  }
+}
+
+// Background job; unref'd so it never keeps the process alive on its own
+setTimeout(runRetention, 10 * 1000).unref();
+setInterval(runRetention, RETENTION_INTERVAL_MS).unref();
+
+app.get('/api/retention', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  
+  const stats = db.prepare(`
+    SELECT 
+      COUNT(*) as tasks,
+      SUM(CASE WHEN prompt IS NOT NULL OR completion IS NOT NULL OR original_request IS NOT NULL OR error IS NOT NULL THEN 1 ELSE 0 END) as tasks_with_payloads,
+      MIN(created_at) as oldest_task_at
+    FROM tasks
+    WHERE (api_key_id = ? OR account_id = ?)
+  `).get(req.apiKey?.id || null, accountId);
+  const rollups = db.prepare('SELECT COUNT(DISTINCT day) as days, MIN(day) as oldest_day FROM task_rollups WHERE account_id = ?').get(accountId);
+  
+  res.json({ settings: getRetentionSettings(accountId), stats: { ...stats, rollup_days: rollups.days, oldest_rollup_day: rollups.oldest_day } });
+});
+
+// Set the policy; each value is a number of days, or null to keep forever
+app.put('/api/retention', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  const current = getRetentionSettings(accountId);
+  const settings = {};
+  
+  for (const field of ['payload_days', 'metrics_days', 'delete_days']) {
+    const value = req.body[field];
+    if (value !== undefined && value !== null && !(Number.isInteger(value) && value > 0)) {
+      return res.status(400).json({ error: `${field} must be a positive integer or null` });
+    }
+    settings[field] = value === undefined ? current[field] : value;
+  }
+  
+  const ordered = [settings.payload_days, settings.metrics_days, settings.delete_days].filter(Boolean);
+  if (ordered.some((days, i) => i > 0 && days < ordered[i - 1])) {
+    return res.status(400).json({ error: 'Retention must satisfy payload_days <= metrics_days <= delete_days' });
+  }
+  
+  db.prepare(`
+    INSERT OR REPLACE INTO retention_settings (account_id, payload_days, metrics_days, delete_days, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(accountId, settings.payload_days, settings.metrics_days, settings.delete_days, new Date().toISOString());
+  
+  res.json({ success: true, settings });
+});
+
+// Apply the policy now instead of waiting for the background job
+app.post('/api/retention/run', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  const result = applyRetention(accountId, getRetentionSettings(accountId));
+  res.json({ success: true, ...result });
+});
+
+// Daily metrics for tasks that retention has already deleted
+app.get('/api/retention/rollups', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  const since = req.query.since || '0000-00-00';
+  const until = req.query.until || '9999-12-31';
+  
+  const rollups = db.prepare(`
+    SELECT day, agent_name, model, provider, status, task_count, total_duration_ms, max_duration_ms, total_cost, tokens_in, tokens_out
+    FROM task_rollups
+    WHERE account_id = ? AND day >= ? AND day <= ?
+    ORDER BY day DESC, total_cost DESC
+  `).all(accountId, since.slice(0, 10), until.slice(0, 10));
+  
+  res.json(rollups);
+});
+
+app.delete('/api/tasks/:id', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  
+  const result = db.transaction(() => {
+    db.prepare('DELETE FROM response_cache WHERE account_id = ? AND source_task_id = ?').run(accountId, req.params.id);
+    db.prepare('DELETE FROM openai_responses WHERE account_id = ? AND task_id = ?').run(accountId, req.params.id);
+    return db.prepare('DELETE FROM tasks WHERE id = ? AND (api_key_id = ? OR account_id = ?)')
+      .run(req.params.id, req.apiKey?.id || null, accountId);
+  })();
+  
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Task not found' });
+  }
+  
+  console.log(`[TASK] DELETED | Task ${req.params.id}`);
+  res.json({ success: true, id: req.params.id });
+});
+
+app.delete('/api/traces/:traceId', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  
+  const result = db.transaction(() => {
+    db.prepare(`
+      DELETE FROM response_cache WHERE account_id = ? AND source_task_id IN (
+        SELECT id FROM tasks WHERE trace_id = ? AND (api_key_id = ? OR account_id = ?)
+      )
+    `).run(accountId, req.params.traceId, req.apiKey?.id || null, accountId);
+    db.prepare('DELETE FROM openai_responses WHERE account_id = ? AND trace_id = ?').run(accountId, req.params.traceId);
+    return db.prepare('DELETE FROM tasks WHERE trace_id = ? AND (api_key_id = ? OR account_id = ?)')
+      .run(req.params.traceId, req.apiKey?.id || null, accountId);
+  })();
+  
+  if (result.changes === 0) {
+    return res.status(404).json({ error: 'Trace not found' });
+  }
+  
+  console.log(`[TRACE] DELETED | Trace ${req.params.traceId} | ${result.changes} spans`);
+  res.json({ success: true, trace_id: req.params.traceId, deleted: result.changes });
+});
+
+// Erase everything stored for the caller (GDPR). Requires ?confirm=true.
+// AgentLog keys keep the key making the request, and other AgentLog keys on the same data are
+// deleted; provider keys lose their whole workspace, every linked key included.
+app.delete('/api/account', validateApiKey, (req, res) => {
+  if (req.query.confirm !== 'true') {
+    return res.status(400).json({ error: 'This deletes all of your data. Repeat the request with ?confirm=true' });
+  }
+  
+  const accountId = getAccountId(req);
+  const ownerParams = [req.apiKey?.id || null, accountId];
+  
+  const deleted = db.transaction(() => ({
+    tasks: db.prepare('DELETE FROM tasks WHERE api_key_id = ? OR account_id = ?').run(...ownerParams).changes,
+    prompt_templates: db.prepare('DELETE FROM prompt_templates WHERE api_key_id = ? OR account_id = ?').run(...ownerParams).changes,
+    fallback_chains: db.prepare('DELETE FROM fallback_chains WHERE api_key_id = ? OR account_id = ?').run(...ownerParams).changes,
+    budgets: db.prepare('DELETE FROM budgets WHERE api_key_id = ? OR account_id = ?').run(...ownerParams).changes,
+    cached_responses: db.prepare('DELETE FROM response_cache WHERE account_id = ?').run(accountId).changes,
+    rollups: db.prepare('DELETE FROM task_rollups WHERE account_id = ?').run(accountId).changes,
+    responses: db.prepare('DELETE FROM openai_responses WHERE account_id = ?').run(accountId).changes,
+    settings: db.prepare('DELETE FROM cache_settings WHERE account_id = ?').run(accountId).changes
+      + db.prepare('DELETE FROM retention_settings WHERE account_id = ?').run(accountId).changes
+      + db.prepare('DELETE FROM otlp_exporters WHERE account_id = ?').run(accountId).changes
+      + db.prepare('DELETE FROM redaction_settings WHERE account_id = ?').run(accountId).changes,
+    otlp_export_queue: db.prepare('DELETE FROM otlp_export_queue WHERE account_id = ?').run(accountId).changes,
+    events: db.prepare('DELETE FROM task_events WHERE api_key_id = ? OR account_id = ?').run(...ownerParams).changes,
+    data_keys: db.prepare('DELETE FROM data_keys WHERE account_id = ?').run(accountId).changes,
+    api_keys: db.prepare('DELETE FROM api_keys WHERE account_id = ? AND id IS NOT ?').run(accountId, req.apiKey?.id || null).changes,
+    account: req.authType === 'provider' ? db.prepare('DELETE FROM accounts WHERE workspace_id = ?').run(accountId).changes : 0,
+    workspace: req.authType === 'provider' ? db.prepare('DELETE FROM workspaces WHERE id = ?').run(accountId).changes : 0
+  }))();
+  
+  console.log(`[ACCOUNT] WIPED | ${accountId.substring(0, 8)}... | ${deleted.tasks} tasks`);
+  res.json({ success: true, deleted });
+});
+
+// ===== EXPORT & IMPORT =====
+
+// Task columns that travel between instances (ownership columns are set by the importing account)
+const TASK_EXPORT_COLUMNS = [
+  'id', 'agent_name', 'description', 'status', 'started_at', 'completed_at', 'duration_ms', 'cost', 'error',
+  'provider', 'metadata', 'created_at', 'model', 'prompt', 'completion', 'tokens_in', 'tokens_out',
+  'trace_id', 'parent_id', 'span_name', 'prompt_version', 'prompt_template_id', 'original_request'
+];
+const TASK_PAYLOAD_COLUMNS = ['prompt', 'completion', 'original_request'];
+const TASK_NUMBER_COLUMNS = ['duration_ms', 'cost', 'tokens_in', 'tokens_out'];
+const EXPORT_BATCH_SIZE = 500;
+const IMPORT_BATCH_SIZE = 500;
+const MAX_IMPORT_ERRORS = 100;
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function waitForDrain(res) {
+  return new Promise(resolve => res.once('drain', resolve));
+}
+
+// Stream tasks as JSONL or CSV. Rows are read in rowid-keyed batches rather than one .iterate(),
+// because an open iterator would keep the shared connection busy while we wait on the socket.
+app.get('/api/export', validateApiKey, async (req, res) => {
+  const format = req.query.format || 'jsonl';
+  if (!['jsonl', 'csv'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format. Must be: jsonl, csv' });
+  }
+  
+  const columns = req.query.payloads === 'false'
+    ? TASK_EXPORT_COLUMNS.filter(column => !TASK_PAYLOAD_COLUMNS.includes(column))
+    : TASK_EXPORT_COLUMNS;
+  
+  const accountId = getAccountId(req);
+  const fields = buildTaskFieldFilters(req.query);
+  const clauses = ['(api_key_id = ? OR account_id = ?)', ...fields.clauses];
+  const params = [req.apiKey?.id || null, accountId, ...fields.params];
+  if (req.query.since) { clauses.push('created_at > ?'); params.push(req.query.since); }
+  if (req.query.until) { clauses.push('created_at <= ?'); params.push(req.query.until); }
+  if (req.query.trace_id) { clauses.push('trace_id = ?'); params.push(req.query.trace_id); }
+  
+  const batch = db.prepare(`
+    SELECT rowid as _rowid, account_id as _account_id, ${columns.join(', ')} FROM tasks
+    WHERE ${clauses.join(' AND ')} AND rowid > ?
+    ORDER BY rowid
+    LIMIT ?
+  `);
+  
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson');
+  res.setHeader('Content-Disposition', `attachment; filename="agentlog-export-${new Date().toISOString().slice(0, 10)}.${format}"`);
+  if (format === 'csv') res.write(columns.join(',') + '\n');
+  
+  let lastRowid = 0;
+  let exported = 0;
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  
+  while (!closed) {
+    const rows = batch.all(...params, lastRowid, EXPORT_BATCH_SIZE);
+    if (rows.length === 0) break;
+    lastRowid = rows[rows.length - 1]._rowid;
+    
+    let chunk = '';
+    for (const { _rowid, _account_id, ...row } of rows) {
+      decryptTask(db, row, _account_id);
+      if (format === 'csv') {
+        chunk += columns.map(column => csvValue(row[column])).join(',') + '\n';
+      } else {
+        try { row.metadata = JSON.parse(row.metadata); } catch (e) {}
+        chunk += JSON.stringify(row) + '\n';
+      }
+    }
+    exported += rows.length;
+    
+    if (!res.write(chunk)) await waitForDrain(res);
+    if (rows.length < EXPORT_BATCH_SIZE) break;
+  }
+  
+  res.end();
+  console.log(`[EXPORT] ${exported} tasks | ${format} | Account ${String(accountId).substring(0, 8)}...`);
+});
+
+// Import tasks exported with /api/export?format=jsonl. The body is read line by line.
+// Ids that already exist get new ones, and traces that already exist get a new trace id;
+// parent links are rewritten to follow. Tasks are owned by the importing account.
+app.post('/api/import', validateApiKey, async (req, res) => {
+  const accountId = getAccountId(req);
+  const idMap = new Map();
+  const traceMap = new Map();
+  // Children seen before their parent, whose parent may be remapped later in the file
+  const pendingParents = [];
+  // Ids read so far, since rows still waiting in the batch aren't in the table yet
+  const seenIds = new Set();
+  const errors = [];
+  let imported = 0;
+  let skipped = 0;
+  let lineNumber = 0;
+  let batch = [];
+  
+  const taskExists = db.prepare('SELECT 1 FROM tasks WHERE id = ?');
+  const traceExists = db.prepare('SELECT 1 FROM tasks WHERE trace_id = ? LIMIT 1');
+  const insert = db.prepare(`
+    INSERT INTO tasks (api_key_id, account_id, ${TASK_EXPORT_COLUMNS.join(', ')})
+    VALUES (?, ?, ${TASK_EXPORT_COLUMNS.map(() => '?').join(', ')})
+  `);
+  const insertBatch = db.transaction(rows => {
+    for (const row of rows) insert.run(req.apiKey?.id || null, accountId, ...TASK_EXPORT_COLUMNS.map(column => row[column]));
+  });
+  
+  const addTask = (task) => {
+    if (!task || typeof task !== 'object' || Array.isArray(task)) throw new Error('Expected a JSON object');
+    if (!task.agent_name || !task.description) throw new Error('agent_name and description are required');
+    if (!['pending', 'running', 'success', 'failed', 'slow', 'blocked'].includes(task.status)) throw new Error(`Invalid status "${task.status}"`);
+    
+    const row = {};
+    for (const column of TASK_EXPORT_COLUMNS) row[column] = task[column] ?? null;
+    if (row.metadata !== null && typeof row.metadata !== 'string') row.metadata = JSON.stringify(row.metadata);
+    if (row.original_request !== null && typeof row.original_request !== 'string') row.original_request = JSON.stringify(row.original_request);
+    row.metadata = row.metadata ?? '{}';
+    row.duration_ms = Number(row.duration_ms) || 0;
+    row.created_at = row.created_at || new Date().toISOString();
+    // Anything else would fail the whole batch's insert
+    for (const column of TASK_EXPORT_COLUMNS) {
+      const numeric = TASK_NUMBER_COLUMNS.includes(column);
+      if (row[column] !== null && (numeric ? !Number.isFinite(row[column]) : typeof row[column] !== 'string')) {
+        throw new Error(`${column} must be ${numeric ? 'a finite number' : 'a string'}`);
+      }
+    }
+    
+    const originalId = row.id || crypto.randomUUID();
+    if (seenIds.has(originalId)) throw new Error(`Duplicate id "${originalId}"; the first task with it was kept`);
+    seenIds.add(originalId);
+    row.id = taskExists.get(originalId) ? crypto.randomUUID() : originalId;
+    if (row.id !== originalId) idMap.set(originalId, row.id);
+    
+    // Imported payloads go through the account's redaction like any other write, and are
+    // encrypted for the id they're stored under
+    let metadata = null;
+    try { metadata = JSON.parse(row.metadata); } catch (e) {}
+    Object.assign(row, preparePayloads(accountId, row.id, { prompt: row.prompt, completion: row.completion, original_request: row.original_request, error: row.error }, metadata));
+    if (metadata?.redactions) row.metadata = JSON.stringify(metadata);
+    
+    if (row.trace_id) {
+      if (!traceMap.has(row.trace_id)) {
+        traceMap.set(row.trace_id, traceExists.get(row.trace_id) ? crypto.randomUUID() : row.trace_id);
+      }
+      row.trace_id = traceMap.get(row.trace_id);
+    }
+    
+    if (row.parent_id) {
+      if (idMap.has(row.parent_id)) row.parent_id = idMap.get(row.parent_id);
+      else pendingParents.push({ id: row.id, parent_id: row.parent_id });
+    }
+    
+    batch.push(row);
+  };
+  
+  const flush = () => {
+    insertBatch(batch);
+    imported += batch.length;
+    batch = [];
+  };
+  
+  try {
+    // Already-parsed JSON arrays are accepted too, for small imports
+    if (Array.isArray(req.body)) {
+      req.body.forEach((task, i) => {
+        try {
+          addTask(task);
+        } catch (error) {
+          skipped++;
+          if (errors.length < MAX_IMPORT_ERRORS) errors.push({ line: i + 1, error: error.message });
+        }
+      });
+    } else {
+      const lines = readline.createInterface({ input: req, crlfDelay: Infinity });
+      for await (const line of lines) {
+        lineNumber++;
+        if (!line.trim()) continue;
+        try {
+          addTask(JSON.parse(line));
+        } catch (error) {
+          skipped++;
+          if (errors.length < MAX_IMPORT_ERRORS) errors.push({ line: lineNumber, error: error.message });
+        }
+        if (batch.length >= IMPORT_BATCH_SIZE) flush();
+      }
+    }
+    flush();
+    
+    // Point children at parents that were renamed after the child was read
+    const updateParent = db.prepare('UPDATE tasks SET parent_id = ? WHERE id = ?');
+    db.transaction(() => {
+      for (const { id, parent_id } of pendingParents) {
+        if (idMap.has(parent_id)) updateParent.run(idMap.get(parent_id), id);
+      }
+    })();
+  } catch (error) {
+    console.error(`[IMPORT] ✗ ${error.message}`);
+    return res.status(500).json({ error: `Import failed after ${imported} tasks: ${error.message}` });
+  }
+  
+  const remappedTraces = [...traceMap].filter(([from, to]) => from !== to).length;
+  console.log(`[IMPORT] ${imported} tasks | ${idMap.size} ids remapped | ${skipped} skipped`);
+  
+  res.json({
+    success: true,
+    imported,
+    remapped_ids: idMap.size,
+    remapped_traces: remappedTraces,
+    skipped,
+    errors
+  });
+});
+
+// ===== OPENTELEMETRY =====
+
+// Field numbers and types for the OTLP trace messages we read (opentelemetry/proto/trace/v1).
+// Protobuf bodies are decoded into the same shape as OTLP/JSON, so one mapper handles both.
+const OTLP_TRACE_PROTO = {
+  ExportTraceServiceRequest: { 1: ['resourceSpans', 'ResourceSpans', true] },
+  ResourceSpans: { 1: ['resource', 'Resource'], 2: ['scopeSpans', 'ScopeSpans', true] },
+  Resource: { 1: ['attributes', 'KeyValue', true] },
+  ScopeSpans: { 1: ['scope', 'InstrumentationScope'], 2: ['spans', 'Span', true] },
+  InstrumentationScope: { 1: ['name', 'string'], 2: ['version', 'string'], 3: ['attributes', 'KeyValue', true] },
+  Span: {
+    1: ['traceId', 'hex'], 2: ['spanId', 'hex'], 4: ['parentSpanId', 'hex'], 5: ['name', 'string'], 6: ['kind', 'int'],
+    7: ['startTimeUnixNano', 'fixed64'], 8: ['endTimeUnixNano', 'fixed64'], 9: ['attributes', 'KeyValue', true],
+    11: ['events', 'Event', true], 15: ['status', 'Status']
+  },
+  Event: { 1: ['timeUnixNano', 'fixed64'], 2: ['name', 'string'], 3: ['attributes', 'KeyValue', true] },
+  Status: { 2: ['message', 'string'], 3: ['code', 'int'] },
+  KeyValue: { 1: ['key', 'string'], 2: ['value', 'AnyValue'] },
+  AnyValue: {
+    1: ['stringValue', 'string'], 2: ['boolValue', 'bool'], 3: ['intValue', 'int64'], 4: ['doubleValue', 'double'],
+    5: ['arrayValue', 'ArrayValue'], 6: ['kvlistValue', 'KeyValueList'], 7: ['bytesValue', 'base64']
+  },
+  ArrayValue: { 1: ['values', 'AnyValue', true] },
+  KeyValueList: { 1: ['values', 'KeyValue', true] }
+};
+
+function readVarint(buffer, pos) {
+  let result = 0n;
+  let shift = 0n;
+  while (true) {
+    if (pos >= buffer.length) throw new Error('Truncated protobuf varint');
+    const byte = buffer[pos++];
+    result |= BigInt(byte & 0x7f) << shift;
+    if (!(byte & 0x80)) return [result, pos];
+    shift += 7n;
+  }
+}
+
+// Decode one message; unknown fields are skipped
+function decodeProto(buffer, type) {
+  const schema = OTLP_TRACE_PROTO[type];
+  const message = {};
+  let pos = 0;
+  
+  while (pos < buffer.length) {
+    let key;
+    [key, pos] = readVarint(buffer, pos);
+    const wireType = Number(key & 7n);
+    let raw;
+    if (wireType === 0) {
+      [raw, pos] = readVarint(buffer, pos);
+    } else if (wireType === 1 || wireType === 5) {
+      const size = wireType === 1 ? 8 : 4;
+      raw = buffer.subarray(pos, pos + size);
+      pos += size;
+    } else if (wireType === 2) {
+      let length;
+      [length, pos] = readVarint(buffer, pos);
+      raw = buffer.subarray(pos, pos + Number(length));
+      pos += Number(length);
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+    if (pos > buffer.length) throw new Error('Truncated protobuf message');
+    
+    const field = schema[Number(key >> 3n)];
+    if (!field) continue;
+    const [name, fieldType, repeated] = field;
+    
+    let value;
+    if (fieldType === 'string') value = raw.toString('utf8');
+    else if (fieldType === 'hex') value = raw.toString('hex');
+    else if (fieldType === 'base64') value = raw.toString('base64');
+    else if (fieldType === 'int') value = Number(raw);
+    else if (fieldType === 'bool') value = raw !== 0n;
+    else if (fieldType === 'int64') value = BigInt.asIntN(64, raw).toString();
+    else if (fieldType === 'fixed64') value = raw.readBigUInt64LE().toString();
+    else if (fieldType === 'double') value = raw.readDoubleLE();
+    else value = decodeProto(raw, fieldType);
+    
+    if (repeated) (message[name] = message[name] || []).push(value);
+    else message[name] = value;
+  }
+  
+  return message;
+}
+
+// OTLP/JSON ids are hex, but some exporters send the proto3 JSON default (base64)
+function normalizeOtlpId(id, bytes) {
+  if (!id) return null;
+  if (new RegExp(`^[0-9a-f]{${bytes * 2}}$`, 'i').test(id)) return /^0+$/.test(id) ? null : id.toLowerCase();
+  const hex = Buffer.from(id, 'base64').toString('hex');
+  return hex.length === bytes * 2 && !/^0+$/.test(hex) ? hex : null;
+}
+
+function otlpValue(value) {
+  if (!value) return null;
+  if ('stringValue' in value) return value.stringValue;
+  if ('boolValue' in value) return value.boolValue;
+  if ('intValue' in value) return Number(value.intValue);
+  if ('doubleValue' in value) return value.doubleValue;
+  if ('arrayValue' in value) return (value.arrayValue.values || []).map(otlpValue);
+  if ('kvlistValue' in value) return otlpAttributes(value.kvlistValue.values);
+  if ('bytesValue' in value) return value.bytesValue;
+  return null;
+}
+
+function otlpAttributes(list) {
+  return Object.fromEntries((list || []).map(kv => [kv.key, otlpValue(kv.value)]));
+}
+
+function nanosToIso(nanos) {
+  return nanos ? new Date(Number(BigInt(nanos) / 1000000n)).toISOString() : null;
+}
+
+// "role: text" lines from GenAI message arrays (content strings or typed parts), or the raw text
+function renderOtlpMessages(value) {
+  let messages = value;
+  if (typeof value === 'string') {
+    try { messages = JSON.parse(value); } catch (e) { return value; }
+  }
+  if (!Array.isArray(messages)) return typeof messages === 'string' ? messages : JSON.stringify(messages);
+  
+  return messages.map(message => {
+    const inner = message.message || message;
+    const text = Array.isArray(inner.parts)
+      ? inner.parts.map(part => part.content ?? part.text ?? JSON.stringify(part)).join('\n')
+      : renderContentText(inner.content);
+    return inner.role ? `${inner.role}: ${text}` : text;
+  }).join('\n');
+}
+
+// GenAI semantic conventions have carried content in several places over time: gen_ai.input/output.messages,
+// gen_ai.prompt/completion, indexed gen_ai.prompt.N.* attributes, and gen_ai.content.* / gen_ai.*.message events
+const GENAI_CONTENT_ATTRIBUTE = /^gen_ai\.(input\.messages|output\.messages|system_instructions|prompt|completion)(\.|$)/;
+
+function extractOtlpContent(attributes, events, kind) {
+  const messagesKey = kind === 'prompt' ? 'gen_ai.input.messages' : 'gen_ai.output.messages';
+  if (attributes[messagesKey]) return renderOtlpMessages(attributes[messagesKey]);
+  if (attributes[`gen_ai.${kind}`]) return renderOtlpMessages(attributes[`gen_ai.${kind}`]);
+  
+  const indexed = Object.keys(attributes)
+    .map(key => new RegExp(`^gen_ai\\.${kind}\\.(\\d+)\\.content$`).exec(key))
+    .filter(Boolean)
+    .sort((a, b) => a[1] - b[1])
+    .map(match => {
+      const role = attributes[`gen_ai.${kind}.${match[1]}.role`];
+      return role ? `${role}: ${attributes[match[0]]}` : attributes[match[0]];
+    });
+  if (indexed.length) return indexed.join('\n');
+  
+  const lines = [];
+  for (const event of events) {
+    const eventAttributes = otlpAttributes(event.attributes);
+    if (event.name === `gen_ai.content.${kind}`) lines.push(renderOtlpMessages(eventAttributes[`gen_ai.${kind}`]));
+    if (kind === 'prompt' && /^gen_ai\.(system|user|assistant|tool)\.message$/.test(event.name)) {
+      lines.push(`${event.name.split('.')[1]}: ${renderContentText(eventAttributes.content)}`);
+    }
+    if (kind === 'completion' && event.name === 'gen_ai.choice') {
+      lines.push(renderOtlpMessages([eventAttributes.message || eventAttributes]));
+    }
+  }
+  return lines.filter(Boolean).join('\n') || null;
+}
+
+// One OTLP span -> tasks row
+function otlpSpanToTask(span, resourceAttributes, scope) {
+  const attributes = otlpAttributes(span.attributes);
+  const events = span.events || [];
+  const model = attributes['gen_ai.response.model'] || attributes['gen_ai.request.model'] || null;
+  const tokensIn = Number(attributes['gen_ai.usage.input_tokens'] ?? attributes['gen_ai.usage.prompt_tokens']) || 0;
+  const tokensOut = Number(attributes['gen_ai.usage.output_tokens'] ?? attributes['gen_ai.usage.completion_tokens']) || 0;
+  const failed = span.status?.code === 2 || span.status?.code === 'STATUS_CODE_ERROR';
+  const startNanos = span.startTimeUnixNano ? BigInt(span.startTimeUnixNano) : null;
+  const endNanos = span.endTimeUnixNano ? BigInt(span.endTimeUnixNano) : null;
+  
+  // Content goes to prompt/completion; everything else stays filterable in metadata
+  const otherAttributes = Object.fromEntries(Object.entries(attributes).filter(([key]) => !GENAI_CONTENT_ATTRIBUTE.test(key)));
+  
+  return {
+    id: normalizeOtlpId(span.spanId, 8),
+    trace_id: normalizeOtlpId(span.traceId, 16),
+    parent_id: normalizeOtlpId(span.parentSpanId, 8),
+    span_name: span.name || null,
+    agent_name: resourceAttributes['service.name'] || scope?.name || 'otel',
+    description: span.name || 'span',
+    status: failed ? 'failed' : 'success',
+    error: failed ? span.status?.message || 'Span status ERROR' : null,
+    provider: attributes['gen_ai.provider.name'] || attributes['gen_ai.system'] || 'otel',
+    model,
+    prompt: extractOtlpContent(attributes, events, 'prompt'),
+    completion: extractOtlpContent(attributes, events, 'completion'),
+    tokens_in: tokensIn,
+    tokens_out: tokensOut,
+    cost: model ? calculateCost(model, tokensIn, tokensOut) : 0,
+    duration_ms: startNanos && endNanos && endNanos > startNanos ? Number((endNanos - startNanos) / 1000000n) : 0,
+    started_at: nanosToIso(span.startTimeUnixNano),
+    completed_at: nanosToIso(span.endTimeUnixNano),
+    created_at: nanosToIso(span.startTimeUnixNano) || new Date().toISOString(),
+    metadata: {
+      source: 'otlp',
+      span_kind: span.kind,
+      scope: scope?.name,
+      attributes: otherAttributes,
+      resource: resourceAttributes
+    }
+  };
+}
+
+// ExportTracePartialSuccess in the request's encoding (empty response when nothing was rejected)
+function sendOtlpResponse(res, protobuf, rejected, errorMessage) {
+  if (!protobuf) {
+    return res.json(rejected ? { partialSuccess: { rejectedSpans: String(rejected), errorMessage } } : {});
+  }
+  
+  const varint = value => {
+    const bytes = [];
+    while (value > 0x7f) { bytes.push((value & 0x7f) | 0x80); value = Math.floor(value / 128); }
+    bytes.push(value);
+    return Buffer.from(bytes);
+  };
+  let body = Buffer.alloc(0);
+  if (rejected) {
+    const message = Buffer.from(errorMessage, 'utf8');
+    const partial = Buffer.concat([Buffer.from([0x08]), varint(rejected), Buffer.from([0x12]), varint(message.length), message]);
+    body = Buffer.concat([Buffer.from([0x0a]), varint(partial.length), partial]);
+  }
+  res.set('Content-Type', 'application/x-protobuf').send(body);
+}
+
+// OTLP/HTTP trace receiver. Point an exporter at https://agentlog-api.fly.dev/v1/traces with an
+// Authorization header. Re-sent spans update their task instead of duplicating it.
+app.post('/v1/traces', validateApiKey, express.raw({ type: 'application/x-protobuf', limit: LARGE_BODY_LIMIT }), largeJsonBody, (req, res) => {
+  const protobuf = Buffer.isBuffer(req.body);
+  let request;
+  try {
+    request = protobuf ? decodeProto(req.body, 'ExportTraceServiceRequest') : req.body;
+  } catch (error) {
+    return res.status(400).json({ error: `Invalid OTLP protobuf: ${error.message}` });
+  }
+  if (!request || typeof request !== 'object') {
+    return res.status(400).json({ error: 'Expected an OTLP ExportTraceServiceRequest' });
+  }
+  
+  const accountId = getAccountId(req);
+  const owner = db.prepare('SELECT api_key_id, account_id FROM tasks WHERE id = ?');
+  const upsert = db.prepare(`
+    INSERT INTO tasks (
+      id, api_key_id, account_id, agent_name, description, status, duration_ms, cost, error, provider, metadata, created_at,
+      model, prompt, completion, tokens_in, tokens_out, trace_id, parent_id, span_name, started_at, completed_at
+    )
+    VALUES (
+      @id, @api_key_id, @account_id, @agent_name, @description, @status, @duration_ms, @cost, @error, @provider, @metadata, @created_at,
+      @model, @prompt, @completion, @tokens_in, @tokens_out, @trace_id, @parent_id, @span_name, @started_at, @completed_at
+    )
+    ON CONFLICT (id) DO UPDATE SET
+      agent_name = excluded.agent_name, description = excluded.description, status = excluded.status,
+      duration_ms = excluded.duration_ms, cost = excluded.cost, error = excluded.error, provider = excluded.provider,
+      metadata = excluded.metadata, created_at = excluded.created_at, model = excluded.model, prompt = excluded.prompt,
+      completion = excluded.completion, tokens_in = excluded.tokens_in, tokens_out = excluded.tokens_out,
+      trace_id = excluded.trace_id, parent_id = excluded.parent_id, span_name = excluded.span_name,
+      started_at = excluded.started_at, completed_at = excluded.completed_at
+  `);
+  
+  let accepted = 0;
+  let rejected = 0;
+  let errorMessage = '';
+  
+  db.transaction(() => {
+    for (const resourceSpans of request.resourceSpans || []) {
+      const resourceAttributes = otlpAttributes(resourceSpans.resource?.attributes);
+      for (const scopeSpans of resourceSpans.scopeSpans || []) {
+        for (const span of scopeSpans.spans || []) {
+          const task = otlpSpanToTask(span, resourceAttributes, scopeSpans.scope);
+          if (!task.id || !task.trace_id) {
+            rejected++;
+            errorMessage = 'Spans need a valid traceId and spanId';
+            continue;
+          }
+          
+          // Span ids are the task ids, so never let one account overwrite another's task
+          const existing = owner.get(task.id);
+          if (existing && existing.account_id !== accountId && !(req.apiKey && existing.api_key_id === req.apiKey.id)) {
+            rejected++;
+            errorMessage = 'Span id already belongs to another account';
+            continue;
+          }
+          
+          const payload = preparePayloads(accountId, task.id, { prompt: task.prompt, completion: task.completion, error: task.error }, task.metadata);
+          upsert.run({ ...task, ...payload, metadata: JSON.stringify(task.metadata), api_key_id: req.apiKey?.id || null, account_id: accountId });
+          accepted++;
+        }
+      }
+    }
+  })();
+  
+  console.log(`[OTLP] ${accepted} spans ingested${rejected ? ` | ${rejected} rejected` : ''} | ${protobuf ? 'protobuf' : 'json'}`);
+  sendOtlpResponse(res, protobuf, rejected, errorMessage);
+});
+
+// OTLP wants 16-byte trace ids and 8-byte span ids. Other ids (UUIDs, free-form trace ids) are
+// hashed so parent links still line up; the originals travel as agentlog.* attributes.
+function toOtlpId(id, bytes) {
+  if (!id) return null;
+  const hex = String(id).replace(/-/g, '').toLowerCase();
+  if (new RegExp(`^[0-9a-f]{${bytes * 2}}$`).test(hex)) return hex;
+  return crypto.createHash('sha256').update(String(id)).digest('hex').slice(0, bytes * 2);
+}
+
+// CURRENT_TIMESTAMP values have no zone and are UTC
+function parseTaskTime(value) {
+  if (!value) return null;
+  const ms = Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function taskSpanTimes(task) {
+  const start = parseTaskTime(task.started_at) ?? parseTaskTime(task.created_at) ?? 0;
+  const end = parseTaskTime(task.completed_at) ?? start + (task.duration_ms || 0);
+  return { start, end: Math.max(start, end) };
+}
+
+function taskSpanAttributes(task, includeContent) {
+  const attributes = {
+    'agentlog.task_id': task.id,
+    'agentlog.trace_id': task.trace_id,
+    'agentlog.status': task.status,
+    'agentlog.description': task.description,
+    'agentlog.cost': task.cost || 0
+  };
+  if (task.model) {
+    attributes['gen_ai.provider.name'] = task.provider;
+    attributes['gen_ai.request.model'] = task.model;
+    attributes['gen_ai.usage.input_tokens'] = task.tokens_in || 0;
+    attributes['gen_ai.usage.output_tokens'] = task.tokens_out || 0;
+  }
+  if (includeContent) {
+    attributes['gen_ai.prompt'] = task.prompt;
+    attributes['gen_ai.completion'] = task.completion;
+  }
+  return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+}
+
+// Always typed as doubles, even when the value happens to be whole
+const DOUBLE_ATTRIBUTES = new Set(['agentlog.cost']);
+
+function otlpAnyValue(value, key) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value) && !DOUBLE_ATTRIBUTES.has(key)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+// OTLP/JSON ExportTraceServiceRequest, one resource per agent since service.name lives on the resource
+function tasksToOtlp(tasks, includeContent) {
+  const spansByAgent = new Map();
+  
+  for (const task of tasks) {
+    const { start, end } = taskSpanTimes(task);
+    const span = {
+      traceId: toOtlpId(task.trace_id || task.id, 16),
+      spanId: toOtlpId(task.id, 8),
+      parentSpanId: toOtlpId(task.parent_id, 8) || undefined,
+      name: task.span_name || task.description,
+      kind: task.model ? 3 : 1, // CLIENT for model calls, INTERNAL otherwise
+      startTimeUnixNano: String(BigInt(start) * 1000000n),
+      endTimeUnixNano: String(BigInt(end) * 1000000n),
+      attributes: Object.entries(taskSpanAttributes(task, includeContent)).map(([key, value]) => ({ key, value: otlpAnyValue(value, key) })),
+      status: task.status === 'failed' ? { code: 2, message: task.error || '' } : { code: 1 }
+    };
+    if (!spansByAgent.has(task.agent_name)) spansByAgent.set(task.agent_name, []);
+    spansByAgent.get(task.agent_name).push(span);
+  }
+  
+  return {
+    resourceSpans: [...spansByAgent].map(([agent, spans]) => ({
+      resource: { attributes: [{ key: 'service.name', value: { stringValue: agent } }] },
+      scopeSpans: [{ scope: { name: 'agentlog' }, spans }]
+    }))
+  };
+}
+
+// Zipkin v2 JSON (POST /api/v2/spans); times are in microseconds
+function tasksToZipkin(tasks, includeContent) {
+  return tasks.map(task => {
+    const { start, end } = taskSpanTimes(task);
+    const tags = Object.fromEntries(Object.entries(taskSpanAttributes(task, includeContent)).map(([key, value]) => [key, String(value)]));
+    if (task.status === 'failed') tags.error = task.error || 'failed';
+    
+    return {
+      traceId: toOtlpId(task.trace_id || task.id, 16),
+      id: toOtlpId(task.id, 8),
+      parentId: toOtlpId(task.parent_id, 8) || undefined,
+      name: task.span_name || task.description,
+      kind: task.model ? 'CLIENT' : undefined,
+      timestamp: start * 1000,
+      duration: Math.max(1, (end - start) * 1000),
+      localEndpoint: { serviceName: task.agent_name },
+      tags
+    };
+  });
+}
+
+function jaegerTag(key, value) {
+  if (typeof value === 'boolean') return { key, type: 'bool', value };
+  if (Number.isInteger(value) && !DOUBLE_ATTRIBUTES.has(key)) return { key, type: 'int64', value };
+  if (typeof value === 'number') return { key, type: 'float64', value };
+  return { key, type: 'string', value: String(value) };
+}
+
+// Jaeger query JSON, the shape the Jaeger UI loads from a file
+function tasksToJaeger(tasks, includeContent) {
+  const processes = {};
+  const processIds = new Map();
+  
+  const spans = tasks.map(task => {
+    if (!processIds.has(task.agent_name)) {
+      const processId = `p${processIds.size + 1}`;
+      processIds.set(task.agent_name, processId);
+      processes[processId] = { serviceName: task.agent_name, tags: [] };
+    }
+    
+    const { start, end } = taskSpanTimes(task);
+    const traceID = toOtlpId(task.trace_id || task.id, 16);
+    const tags = Object.entries(taskSpanAttributes(task, includeContent)).map(([key, value]) => jaegerTag(key, value));
+    if (task.model) tags.push(jaegerTag('span.kind', 'client'));
+    if (task.status === 'failed') tags.push(jaegerTag('error', true), jaegerTag('error.message', task.error || 'failed'));
+    
+    return {
+      traceID,
+      spanID: toOtlpId(task.id, 8),
+      operationName: task.span_name || task.description,
+      references: task.parent_id ? [{ refType: 'CHILD_OF', traceID, spanID: toOtlpId(task.parent_id, 8) }] : [],
+      startTime: start * 1000,
+      duration: (end - start) * 1000,
+      tags,
+      logs: [],
+      processID: processIds.get(task.agent_name),
+      warnings: null
+    };
+  });
+  
+  return { data: [{ traceID: spans[0]?.traceID, spans, processes, warnings: null }] };
+}
+
+// ?format= values for GET /api/traces/:traceId
+const TRACE_FORMATS = { otlp: tasksToOtlp, zipkin: tasksToZipkin, jaeger: tasksToJaeger };
+
+// Background OTLP exporter: pushes queued tasks (see the tasks_otlp_* triggers) as OTLP/JSON
+const OTLP_EXPORT_INTERVAL_MS = parseInt(process.env.AGENTLOG_OTLP_EXPORT_INTERVAL_MS) || 10 * 1000;
+const OTLP_EXPORT_BATCH_SIZE = 500;
+const OTLP_EXPORT_TIMEOUT_MS = 10 * 1000;
+let otlpExportRunning = false;
+
+async function exportQueuedSpans(exporter) {
+  const queued = db.prepare(`
+    SELECT q.task_id as queued_id, t.* FROM otlp_export_queue q
+    LEFT JOIN tasks t ON t.id = q.task_id
+    WHERE q.account_id = ?
+    ORDER BY q.queued_at
+    LIMIT ?
+  `).all(exporter.account_id, OTLP_EXPORT_BATCH_SIZE);
+  
+  // Tasks deleted since they were queued are just dropped from the queue
+  const tasks = queued.filter(row => row.id).map(row => decryptTask(db, row));
+  if (tasks.length > 0) {
+    // Checked on every export, since where the host resolves can change after it was configured
+    const response = await fetchPublicUrl(exporter.endpoint, {
+      method: 'POST',
+      headers: { ...JSON.parse(exporter.headers || '{}'), 'Content-Type': 'application/json' },
+      body: JSON.stringify(tasksToOtlp(tasks, !!exporter.include_content)),
+      signal: AbortSignal.timeout(OTLP_EXPORT_TIMEOUT_MS)
+    });
+    // The body is not kept: last_error is shown to the account, and the endpoint is theirs to pick
+    await response.body?.cancel();
+    if (!response.ok) {
+      throw new Error(`Collector answered HTTP ${response.status}`);
+    }
+  }
+  
+  const dequeue = db.prepare('DELETE FROM otlp_export_queue WHERE task_id = ?');
+  db.transaction(() => queued.forEach(row => dequeue.run(row.queued_id)))();
+  return tasks.length;
+}
+
+async function runOtlpExport() {
+  if (otlpExportRunning) return;
+  otlpExportRunning = true;
+  
+  try {
+    const exporters = db.prepare(`
+      SELECT * FROM otlp_exporters
+      WHERE enabled = 1 AND account_id IN (SELECT account_id FROM otlp_export_queue)
+    `).all();
+    
+    for (const exporter of exporters) {
+      try {
+        const exported = await exportQueuedSpans(exporter);
+        db.prepare('UPDATE otlp_exporters SET last_export_at = ?, last_error = NULL WHERE account_id = ?')
+          .run(new Date().toISOString(), exporter.account_id);
+        console.log(`[OTLP] ✓ Exported ${exported} spans | ${exporter.account_id.substring(0, 8)}...`);
+      } catch (error) {
+        // Queue is kept, so the next run retries
+        db.prepare('UPDATE otlp_exporters SET last_error = ? WHERE account_id = ?').run(error.message, exporter.account_id);
+        console.error(`[OTLP] ✗ Export failed | ${exporter.account_id.substring(0, 8)}... | ${error.message}`);
+      }
+    }
+  } finally {
+    otlpExportRunning = false;
+  }
+}
+
+setInterval(runOtlpExport, OTLP_EXPORT_INTERVAL_MS).unref();
+
+function getOtlpExporter(accountId) {
+  return db.prepare('SELECT * FROM otlp_exporters WHERE account_id = ?').get(accountId);
+}
+
+// Header values are secrets (collector tokens), so only their names are returned
+function formatOtlpExporter(exporter) {
+  if (!exporter) return null;
+  return {
+    endpoint: exporter.endpoint,
+    header_names: Object.keys(JSON.parse(exporter.headers || '{}')),
+    include_content: !!exporter.include_content,
+    enabled: !!exporter.enabled,
+    last_export_at: exporter.last_export_at,
+    last_error: exporter.last_error,
+    updated_at: exporter.updated_at
+  };
+}
+
+app.get('/api/otlp/exporter', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  const queued = db.prepare('SELECT COUNT(*) as count FROM otlp_export_queue WHERE account_id = ?').get(accountId).count;
+  res.json({ exporter: formatOtlpExporter(getOtlpExporter(accountId)), queued });
+});
+
+// Configure the exporter; tasks that complete from now on are exported
+app.put('/api/otlp/exporter', validateApiKey, async (req, res) => {
+  const accountId = getAccountId(req);
+  const current = getOtlpExporter(accountId);
+  const { endpoint = current?.endpoint, headers, include_content, enabled } = req.body;
+  
+  if (typeof endpoint !== 'string') {
+    return res.status(400).json({ error: 'endpoint must be a URL, e.g. https://collector.example.com/v1/traces' });
+  }
+  let url;
+  try {
+    url = await assertPublicUrl(endpoint);
+  } catch (error) {
+    return res.status(400).json({ error: `endpoint must be a public https URL: ${error.message}` });
+  }
+  if (headers !== undefined && (typeof headers !== 'object' || headers === null || Object.values(headers).some(v => typeof v !== 'string'))) {
+    return res.status(400).json({ error: 'headers must be an object of string values' });
+  }
+  
+  const isEnabled = enabled === undefined ? (current ? !!current.enabled : true) : !!enabled;
+  
+  db.transaction(() => {
+    db.prepare(`
+      INSERT OR REPLACE INTO otlp_exporters (account_id, endpoint, headers, include_content, enabled, last_export_at, last_error, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      accountId,
+      url.toString(),
+      headers === undefined ? current?.headers || '{}' : JSON.stringify(headers),
+      (include_content === undefined ? !!current?.include_content : !!include_content) ? 1 : 0,
+      isEnabled ? 1 : 0,
+      current?.last_export_at || null,
+      current?.last_error || null,
+      new Date().toISOString()
+    );
+    if (!isEnabled) db.prepare('DELETE FROM otlp_export_queue WHERE account_id = ?').run(accountId);
+  })();
+  
+  res.json({ success: true, exporter: formatOtlpExporter(getOtlpExporter(accountId)) });
+});
+
+app.delete('/api/otlp/exporter', validateApiKey, (req, res) => {
+  const accountId = getAccountId(req);
+  const deleted = db.transaction(() => {
+    db.prepare('DELETE FROM otlp_export_queue WHERE account_id = ?').run(accountId);
+    return db.prepare('DELETE FROM otlp_exporters WHERE account_id = ?').run(accountId).changes;
+  })();
+  res.json({ success: true, deleted: deleted > 0 });
+});
+
+// ===== UNIVERSAL AI PROXY =====
+
+const MODEL_COSTS = {
+  'gpt-4': { input: 0.03, output: 0.06 },
+  'gpt-4-32k': { input: 0.06, output: 0.12 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4o': { input: 0.005, output: 0.015 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+  'o1-preview': { input: 0.015, output: 0.06 },
+  'o1-mini': { input: 0.003, output: 0.012 },
+  'o1': { input: 0.015, output: 0.06 },
+  'claude-3-5-sonnet-20240620': { input: 0.003, output: 0.015 },
+  'claude-3-5-sonnet-20241022': { input: 0.003, output: 0.015 },
+  'claude-3-5-haiku-20241022': { input: 0.001, output: 0.005 },
+  'claude-3-opus-20240229': { input: 0.015, output: 0.075 },
+  'claude-3-sonnet-20240229': { input: 0.003, output: 0.015 },
+  'claude-3-haiku-20240307': { input: 0.00025, output: 0.00125 },
+  'gemini-pro': { input: 0.00025, output: 0.0005 },
+  'gemini-1.5-pro': { input: 0.00125, output: 0.005 },
+  'gemini-1.5-flash': { input: 0.000075, output: 0.0003 },
+  'grok-beta': { input: 0.005, output: 0.015 },
+  'grok-2': { input: 0.002, output: 0.01 },
+};
+
+// Input, output and cache read cost separately, recorded on proxy tasks for cost reports.
+// cachedTokens are the part of inputTokens served from the provider's prompt cache,
+// billed at half the input price.
+function calculateCostBreakdown(model, inputTokens, outputTokens, cachedTokens = 0) {
+  let costs = MODEL_COSTS[model];
+  if (!costs) {
+    const matchedKey = Object.keys(MODEL_COSTS).find(key => model.includes(key) || key.includes(model));
+    if (!matchedKey) return { input: 0, output: 0, cache_read: 0 };
+    costs = MODEL_COSTS[matchedKey];
+  }
+  const cached = Math.min(cachedTokens, inputTokens);
+  return {
+    input: ((inputTokens - cached) / 1000) * costs.input,
+    output: (outputTokens / 1000) * costs.output,
+    cache_read: (cached / 1000) * costs.input * 0.5
+  };
+}
+
+function calculateCost(model, inputTokens, outputTokens, cachedTokens = 0) {
+  const breakdown = calculateCostBreakdown(model, inputTokens, outputTokens, cachedTokens);
+  return breakdown.input + breakdown.output + breakdown.cache_read;
+}
+
+// Parse a base64 data: URI into its media type and payload
+function parseDataUri(uri) {
+  const match = /^data:([^;,]+)[^,]*;base64,(.*)$/s.exec(uri || '');
+  return match ? { mediaType: match[1], data: match[2] } : null;
+}
+
+function getImageUrl(part) {
+  return typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+}
+
+// Readable text rendering of message content for the task log (media becomes a placeholder)
+function renderContentText(content) {
+  if (content === null || content === undefined) return '';
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return JSON.stringify(content);
+  
+  return content.map(part => {
+    if (part.type === 'text' || part.type === 'input_text' || part.type === 'output_text') return part.text;
+    if (part.type === 'image_url' || part.type === 'input_image') {
+      const url = getImageUrl(part) || `file ${part.file_id}`;
+      const dataUri = parseDataUri(url);
+      return `[image: ${dataUri ? `${dataUri.mediaType}, ${Math.round(dataUri.data.length * 0.75 / 1024)}KB` : url}]`;
+    }
+    if (part.type === 'input_audio') return `[audio: ${part.input_audio?.format || 'unknown'}]`;
+    if (part.type === 'file') return `[file: ${part.file?.filename || part.file?.file_id || 'inline'}]`;
+    if (part.type === 'input_file') return `[file: ${part.filename || part.file_id || 'inline'}]`;
+    if (part.type === 'image' || part.type === 'document') return `[${part.type}: ${part.source?.media_type || part.source?.url || part.source?.type}]`;
+    if (part.type === 'tool_use') return `[tool_use: ${part.name}(${JSON.stringify(part.input || {})})]`;
+    if (part.type === 'tool_result') return `[tool_result: ${renderContentText(part.content)}]`;
+    return JSON.stringify(part);
+  }).join('\n');
+}
+
+function renderMessageText(message) {
+  const toolCalls = (message.tool_calls || []).map(tc => `[tool_call: ${tc.function?.name}(${tc.function?.arguments || ''})]`);
+  return [renderContentText(message.content), ...toolCalls].filter(Boolean).join('\n');
+}
+
+// OpenAI content parts -> Anthropic content blocks
+function convertContentToAnthropic(content) {
+  if (!Array.isArray(content)) return content ?? '';
+  
+  return content.map(part => {
+    if (part.type === 'text') return { type: 'text', text: part.text };
+    if (part.type === 'image_url') {
+      const url = getImageUrl(part);
+      const dataUri = parseDataUri(url);
+      return dataUri
+        ? { type: 'image', source: { type: 'base64', media_type: dataUri.mediaType, data: dataUri.data } }
+        : { type: 'image', source: { type: 'url', url } };
+    }
+    if (part.type === 'file') {
+      const dataUri = parseDataUri(part.file?.file_data);
+      if (dataUri) return { type: 'document', source: { type: 'base64', media_type: dataUri.mediaType, data: dataUri.data } };
+      return { type: 'text', text: renderContentText([part]) };
+    }
+    // Already Anthropic-shaped blocks pass through untouched
+    return part;
+  });
+}
+
+// OpenAI content parts -> Gemini parts
+async function convertContentToGemini(content) {
+  if (!Array.isArray(content)) return [{ text: content ?? '' }];
+  
+  return Promise.all(content.map(async part => {
+    if (part.type === 'text') return { text: part.text };
+    if (part.type === 'image_url' || (part.type === 'file' && part.file?.file_data)) {
+      const url = part.type === 'file' ? part.file.file_data : getImageUrl(part);
+      const inline = parseDataUri(url) || await fetchInlineData(url);
+      return { inline_data: { mime_type: inline.mediaType, data: inline.data } };
+    }
+    return { text: renderContentText([part]) };
+  }));
+}
+
+// ===== OUTBOUND URLS =====
+
+// URLs a client hands us to fetch must be https and resolve only to public addresses, so they
+// can't reach loopback, the private network or cloud metadata endpoints. Redirects are refused,
+// since the target of one is never checked. The address is checked as the connection is made,
+// so a host can't pass with one address and then be connected to another.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4');
+}
+// BlockList matches IPv4-mapped addresses (::ffff:a.b.c.d) against the IPv4 ranges itself;
+// NAT64 addresses could wrap any of them
+for (const [address, prefix] of [
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6');
+}
+
+function unsafeUrlError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function isBlockedAddress(address) {
+  return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// The parsed URL, checked as far as it can be without resolving it. Throws with status 400.
+function parsePublicUrl(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (e) {
+    throw unsafeUrlError('Invalid URL');
+  }
+  if (url.protocol !== 'https:') {
+    throw unsafeUrlError(`Only https URLs can be fetched, not ${url.protocol}`);
+  }
+  // Connections to IP literals never go through a lookup
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    throw unsafeUrlError(`${host} is a private address`);
+  }
+  return url;
+}
+
+// For validating a URL up front (e.g. when it's configured). Fetches still go through
+// fetchPublicUrl, since the host may resolve elsewhere by then.
+async function assertPublicUrl(rawUrl) {
+  const url = parsePublicUrl(rawUrl);
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+  if (net.isIP(host)) return url;
+  
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true });
+  } catch (error) {
+    throw unsafeUrlError(`Could not resolve ${host}`);
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    throw unsafeUrlError(`${host} is a private address`);
+  }
+  return url;
+}
+
+// dns.lookup for the public dispatcher: the connection goes to the addresses checked here
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(unsafeUrlError(`Could not resolve ${hostname}`));
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(unsafeUrlError(`${hostname} is a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const publicDispatcher = new Agent({ connect: { lookup: publicLookup } });
+
+// fetch() for URLs that came from a client. Errors from the address check keep their status.
+async function fetchPublicUrl(rawUrl, options = {}) {
+  const url = parsePublicUrl(rawUrl);
+  try {
+    return await fetch(url, { ...options, redirect: 'error', dispatcher: publicDispatcher });
+  } catch (error) {
+    throw error.cause?.status ? error.cause : error;
+  }
+}
+
+// Gemini can't fetch arbitrary image URLs, so remote images are downloaded and inlined.
+// Gemini caps a whole request at 20MB, so no single image may be larger.
+const INLINE_DATA_MAX_BYTES = 20 * 1024 * 1024;
+const INLINE_DATA_TIMEOUT_MS = 10 * 1000;
+
+async function fetchInlineData(url) {
+  const response = await fetchPublicUrl(url, { signal: AbortSignal.timeout(INLINE_DATA_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.status}`);
+  if (Number(response.headers.get('content-length')) > INLINE_DATA_MAX_BYTES) {
+    await response.body?.cancel();
+    throw unsafeUrlError(`${url} is larger than ${INLINE_DATA_MAX_BYTES} bytes`);
+  }
+  
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body || []) {
+    size += chunk.length;
+    if (size > INLINE_DATA_MAX_BYTES) {
+      throw unsafeUrlError(`${url} is larger than ${INLINE_DATA_MAX_BYTES} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  return {
+    mediaType: response.headers.get('content-type')?.split(';')[0] || 'image/jpeg',
+    data: Buffer.concat(chunks).toString('base64')
+  };
+}
+
+function convertToAnthropic(openaiRequest) {
+  const { model, messages, max_tokens, temperature, stream, tools, tool_choice, parallel_tool_calls } = openaiRequest;
+  const systemMessage = messages.find(m => m.role === 'system');
+  const otherMessages = messages.filter(m => m.role !== 'system');
+  const toolChoice = convertToolChoiceToAnthropic(tool_choice, parallel_tool_calls);
+  
+  return {
+    model: model,
+    max_tokens: max_tokens || 4096,
+    messages: convertMessagesToAnthropic(otherMessages),
+    ...(systemMessage && { system: convertContentToAnthropic(systemMessage.content) }),
+    ...(temperature !== undefined && { temperature }),
+    ...(tools?.length && { tools: convertToolsToAnthropic(tools) }),
+    ...(toolChoice && { tool_choice: toolChoice }),
+    stream: stream || false
+  };
+}
+
+// Assistant tool_calls become tool_use blocks; consecutive role "tool" messages
+// are merged into a single user turn of tool_result blocks
+function convertMessagesToAnthropic(messages) {
+  const converted = [];
+  
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      const block = { type: 'tool_result', tool_use_id: m.tool_call_id, content: convertContentToAnthropic(m.content) };
+      const last = converted[converted.length - 1];
+      if (last?.role === 'user' && Array.isArray(last.content) && last.content.every(b => b.type === 'tool_result')) {
+        last.content.push(block);
+      } else {
+        converted.push({ role: 'user', content: [block] });
+      }
+    } else if (m.role === 'assistant' && m.tool_calls?.length) {
+      const content = [];
+      if (typeof m.content === 'string' && m.content) content.push({ type: 'text', text: m.content });
+      if (Array.isArray(m.content)) content.push(...convertContentToAnthropic(m.content));
+      m.tool_calls.forEach(tc => content.push({
+        type: 'tool_use',
+        id: tc.id,
+        name: tc.function?.name,
+        input: parseToolArguments(tc.function?.arguments)
+      }));
+      converted.push({ role: 'assistant', content });
+    } else {
+      converted.push({ role: m.role === 'assistant' ? 'assistant' : 'user', content: convertContentToAnthropic(m.content) });
+    }
+  }
+  
+  return converted;
+}
+
+function convertToolsToAnthropic(tools) {
+  return tools
+    .filter(t => t.type === 'function' && t.function)
+    .map(t => ({
+      name: t.function.name,
+      ...(t.function.description && { description: t.function.description }),
+      input_schema: t.function.parameters || { type: 'object', properties: {} }
+    }));
+}
+
+function convertToolChoiceToAnthropic(toolChoice, parallelToolCalls) {
+  let choice;
+  if (toolChoice === 'none') choice = { type: 'none' };
+  else if (toolChoice === 'required') choice = { type: 'any' };
+  else if (toolChoice?.type === 'function') choice = { type: 'tool', name: toolChoice.function?.name };
+  else if (toolChoice === 'auto' || parallelToolCalls === false) choice = { type: 'auto' };
+  else return null;
+  
+  if (parallelToolCalls === false && choice.type !== 'none') choice.disable_parallel_tool_use = true;
+  return choice;
+}
+
+// OpenAI sends tool arguments as a JSON string, Anthropic and Gemini expect an object
+function parseToolArguments(args) {
+  if (!args) return {};
+  if (typeof args !== 'string') return args;
+  try {
+    return JSON.parse(args);
+  } catch (e) {
+    return {};
+  }
+}
+
+function mapAnthropicStopReason(stopReason) {
+  if (stopReason === 'end_turn' || stopReason === 'stop_sequence') return 'stop';
+  if (stopReason === 'tool_use') return 'tool_calls';
+  if (stopReason === 'max_tokens') return 'length';
+  return stopReason || 'stop';
+}
+
+function convertFromAnthropic(anthropicResponse, model) {
+  const blocks = anthropicResponse.content || [];
+  const text = blocks.filter(b => b.type === 'text').map(b => b.text).join('');
+  const toolCalls = blocks.filter(b => b.type === 'tool_use').map(b => ({
+    id: b.id,
+    type: 'function',
+    function: { name: b.name, arguments: JSON.stringify(b.input || {}) }
+  }));
+  const message = toolCalls.length
+    ? { role: 'assistant', content: text || null, tool_calls: toolCalls }
+    : { role: 'assistant', content: text };
+  
+  return {
+    id: anthropicResponse.id || 'chatcmpl-' + crypto.randomUUID(),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: model,
+    choices: [{ index: 0, message, finish_reason: mapAnthropicStopReason(anthropicResponse.stop_reason) }],
+    usage: { prompt_tokens: anthropicResponse.usage?.input_tokens || 0, completion_tokens: anthropicResponse.usage?.output_tokens || 0, total_tokens: (anthropicResponse.usage?.input_tokens || 0) + (anthropicResponse.usage?.output_tokens || 0) }
+  };
+}
+
+async function convertToGemini(openaiRequest) {
+  const { messages, max_tokens, temperature, tools, tool_choice } = openaiRequest;
+  const systemMessage = messages.find(m => m.role === 'system');
+  const otherMessages = messages.filter(m => m.role !== 'system');
+  const toolConfig = convertToolChoiceToGemini(tool_choice);
+  
+  return {
+    contents: await convertMessagesToGemini(otherMessages),
+    ...(systemMessage && { systemInstruction: { parts: await convertContentToGemini(systemMessage.content) } }),
+    ...(tools?.length && { tools: convertToolsToGemini(tools) }),
+    ...(toolConfig && { toolConfig }),
+    generationConfig: { ...(max_tokens && { maxOutputTokens: max_tokens }), ...(temperature !== undefined && { temperature }) }
+  };
+}
+
+// Gemini has no tool call ids, so tool results are matched back to the
+// function name through the assistant message that issued the call
+async function convertMessagesToGemini(messages) {
+  const toolNames = {};
+  const contents = [];
+  
+  for (const m of messages) {
+    if (m.role === 'tool') {
+      const part = { functionResponse: { name: m.name || toolNames[m.tool_call_id] || 'unknown', response: parseToolResponse(renderContentText(m.content)) } };
+      const last = contents[contents.length - 1];
+      if (last?.role === 'user' && last.parts.every(p => p.functionResponse)) {
+        last.parts.push(part);
+      } else {
+        contents.push({ role: 'user', parts: [part] });
+      }
+    } else if (m.role === 'assistant' && m.tool_calls?.length) {
+      const parts = m.content ? await convertContentToGemini(m.content) : [];
+      m.tool_calls.forEach(tc => {
+        toolNames[tc.id] = tc.function?.name;
+        parts.push({ functionCall: { name: tc.function?.name, args: parseToolArguments(tc.function?.arguments) } });
+      });
+      contents.push({ role: 'model', parts });
+    } else {
+      contents.push({ role: m.role === 'assistant' ? 'model' : 'user', parts: await convertContentToGemini(m.content) });
+    }
+  }
+  
+  return contents;
+}
+
+// functionResponse.response must be a JSON object
+function parseToolResponse(content) {
+  if (typeof content === 'string') {
+    try {
+      const parsed = JSON.parse(content);
+      if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+    } catch (e) {}
+  }
+  return { content };
+}
+
+function convertToolsToGemini(tools) {
+  const functionDeclarations = tools
+    .filter(t => t.type === 'function' && t.function)
+    .map(t => ({
+      name: t.function.name,
+      ...(t.function.description && { description: t.function.description }),
+      ...(t.function.parameters && { parameters: sanitizeGeminiSchema(t.function.parameters) })
+    }));
+  return [{ functionDeclarations }];
+}
+
+// Gemini only accepts an OpenAPI subset of JSON Schema and rejects these keywords
+function sanitizeGeminiSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(sanitizeGeminiSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'additionalProperties' || key === '$schema' || key === 'strict') continue;
+    result[key] = key === 'properties' && value && typeof value === 'object'
+      ? Object.fromEntries(Object.entries(value).map(([name, prop]) => [name, sanitizeGeminiSchema(prop)]))
+      : sanitizeGeminiSchema(value);
+  }
+  return result;
+}
+
+function convertToolChoiceToGemini(toolChoice) {
+  if (toolChoice === 'none') return { functionCallingConfig: { mode: 'NONE' } };
+  if (toolChoice === 'required') return { functionCallingConfig: { mode: 'ANY' } };
+  if (toolChoice?.type === 'function') return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.function?.name] } };
+  if (toolChoice === 'auto') return { functionCallingConfig: { mode: 'AUTO' } };
+  return null;
+}
+
+function mapGeminiFinishReason(finishReason, hasToolCalls) {
+  if (hasToolCalls) return 'tool_calls';
+  return finishReason === 'STOP' ? 'stop' : 'length';
+}
+
+function convertFromGemini(geminiResponse, model) {
+  const candidate = geminiResponse.candidates?.[0];
+  const parts = candidate?.content?.parts || [];
+  const content = parts.filter(p => p.text && !p.thought).map(p => p.text).join('');
+  const toolCalls = parts.filter(p => p.functionCall).map(p => ({
+    id: 'call_' + crypto.randomUUID().replace(/-/g, ''),
+    type: 'function',
+    function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) }
+  }));
+  const message = toolCalls.length
+    ? { role: 'assistant', content: content || null, tool_calls: toolCalls }
+    : { role: 'assistant', content: content };
+  
+  return {
+    id: 'chatcmpl-' + crypto.randomUUID(),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: model,
+    choices: [{ index: 0, message, finish_reason: mapGeminiFinishReason(candidate?.finishReason, toolCalls.length > 0) }],
+    usage: { prompt_tokens: geminiResponse.usageMetadata?.promptTokenCount || 0, completion_tokens: geminiResponse.usageMetadata?.candidatesTokenCount || 0, total_tokens: geminiResponse.usageMetadata?.totalTokenCount || 0 }
+  };
+}
+
+// Text to log as the completion - falls back to the tool calls when the model only called tools
+function completionTextFromMessage(message) {
+  if (!message) return '';
+  if (message.content) return message.content;
+  return message.tool_calls?.length ? JSON.stringify(message.tool_calls) : '';
+}
+
+// Statuses that move a fallback chain on to its next target (timeouts and network errors always do)
+const DEFAULT_FALLBACK_STATUSES = [429, 500, 502, 503, 504];
+
+function getFallbackChain(accountId, model) {
+  const chain = db.prepare('SELECT * FROM fallback_chains WHERE account_id = ? AND model = ?').get(accountId, model);
+  if (!chain) return null;
+  
+  return {
+    ...chain,
+    fallbacks: JSON.parse(chain.fallbacks || '[]'),
+    retry_on: JSON.parse(chain.retry_on || 'null') || DEFAULT_FALLBACK_STATUSES
+  };
+}
+
+// Primary target first, then each fallback that we hold a key for. Keys for other
+// providers come from the X-Fallback-Keys header (comma separated, detected by prefix).
+function buildFallbackTargets(chain, primary, fallbackKeysHeader) {
+  const keys = { [primary.provider]: primary.key };
+  (fallbackKeysHeader || '').split(',').map(k => k.trim()).filter(Boolean).forEach(key => {
+    const provider = detectProviderFromKey(key);
+    if (provider && !keys[provider]) keys[provider] = key;
+  });
+  
+  const targets = [primary];
+  for (const fallback of chain.fallbacks) {
+    const model = typeof fallback === 'string' ? fallback : fallback.model;
+    const provider = (typeof fallback === 'object' && fallback.provider) || detectProviderFromModel(model);
+    if (!keys[provider]) {
+      console.log(`[PROXY] Skipping fallback ${provider}/${model} - no ${provider} key in X-Fallback-Keys`);
+      continue;
+    }
+    targets.push({ provider, model, key: keys[provider] });
+  }
+  return targets;
+}
+
+// Send an OpenAI-format request to one provider, converting it to the provider's wire
+// format. Resolves once response headers arrive; throws with `status` on HTTP errors.
+async function fetchProvider({ provider, model, key }, openaiRequest, { stream, timeoutMs } = {}) {
+  const request = { ...openaiRequest, model, stream: !!stream };
+  const { url, headers, format } = buildProviderRequest(provider, model, key, { stream });
+  let body;
+  let label;
+  
+  if (format === 'anthropic') {
+    body = convertToAnthropic(request);
+    label = provider === 'anthropic' ? 'Anthropic' : provider;
+  } else if (format === 'gemini') {
+    body = await convertToGemini(request);
+    label = provider === 'google' ? 'Gemini' : provider;
+  } else {
+    body = request;
+    // Ask for the final usage chunk so streamed calls get exact token counts
+    if (stream && getProviderConfig(provider).stream_usage) {
+      body = { ...request, stream_options: { ...request.stream_options, include_usage: true } };
+    }
+    label = provider;
+  }
+  
+  const controller = new AbortController();
+  const timer = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  
+  try {
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal: controller.signal });
+    if (!response.ok) {
+      const error = new Error(`${label} error: ${response.status} - ${await response.text()}`);
+      error.status = response.status;
+      throw error;
+    }
+    return response;
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      const timeoutError = new Error(`${label} error: timed out after ${timeoutMs}ms`);
+      timeoutError.timedOut = true;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Try each target in order. With a chain configured, every attempt is logged as a
+// child span of the proxy task (cost stays on the parent so trace totals don't double count).
+async function fetchWithFallback(targets, openaiRequest, { stream, chain, accountId, agentName, traceId, parentId }) {
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i];
+    const attemptStart = Date.now();
+    const attemptId = crypto.randomUUID();
+    
+    if (chain) {
+      db.prepare(`
+        INSERT INTO tasks (
+          id, account_id, agent_name, description, status, duration_ms, cost, provider, metadata, created_at,
+          model, trace_id, parent_id, span_name, started_at
+        )
+        VALUES (?, ?, ?, ?, 'running', 0, 0, ?, ?, ?, ?, ?, ?, 'fallback_attempt', ?)
+      `).run(
+        attemptId,
+        accountId,
+        agentName,
+        `Attempt ${i + 1}: ${target.provider}/${target.model}`,
+        target.provider,
+        JSON.stringify({ attempt: i + 1, fallback_chain_id: chain.id }),
+        new Date().toISOString(),
+        target.model,
+        traceId,
+        parentId,
+        new Date().toISOString()
+      );
+      publishTaskEvent(attemptId, { created: true });
+    }
+    
+    try {
+      const response = await fetchProvider(target, openaiRequest, { stream, timeoutMs: chain?.timeout_ms });
+      if (chain) {
+        db.prepare(`UPDATE tasks SET status = 'success', duration_ms = ?, completed_at = ? WHERE id = ?`)
+          .run(Date.now() - attemptStart, new Date().toISOString(), attemptId);
+        publishTaskEvent(attemptId);
+      }
+      return { response, target, attempts: i + 1 };
+    } catch (error) {
+      if (chain) {
+        db.prepare(`UPDATE tasks SET status = 'failed', duration_ms = ?, error = ?, completed_at = ? WHERE id = ?`)
+          .run(Date.now() - attemptStart, prepareError(accountId, attemptId, error.message), new Date().toISOString(), attemptId);
+        publishTaskEvent(attemptId);
+      }
+      
+      const retryable = error.timedOut || error.status === undefined || chain?.retry_on.includes(error.status);
+      if (!chain || !retryable || i === targets.length - 1) throw error;
+      
+      console.log(`[PROXY] ↪ ${target.provider}/${target.model} failed (${error.status || error.message}), falling back to ${targets[i + 1].provider}/${targets[i + 1].model}`);
+    }
+  }
+}
+
+// Tokenizers are loaded on first use; each encoding's rank table is tens of MB
+const tokenizers = {};
+
+function getTokenizerEncoding(model) {
+  const name = (model || '').split('/').pop();
+  return /^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|o\d|chatgpt-4o)/.test(name) ? 'o200k_base' : 'cl100k_base';
+}
+
+// Count tokens when the provider didn't report usage. OpenAI models use their own encoding;
+// other families use cl100k_base, which is far closer than a character heuristic.
+function estimateTokens(text, model) {
+  if (!text) return 0;
+  const encoding = getTokenizerEncoding(model);
+  try {
+    if (!tokenizers[encoding]) {
+      const { Tiktoken } = require('js-tiktoken/lite');
+      tokenizers[encoding] = new Tiktoken(require(`js-tiktoken/ranks/${encoding}`));
+    }
+    return tokenizers[encoding].encode(text, [], []).length;
+  } catch (e) {
+    return Math.ceil(text.length / 4);
+  }
+}
+
+// NEW: Universal proxy that accepts provider key directly
+app.post('/v1/chat/completions', largeJsonBody, async (req, res) => {
+  const startTime = Date.now();
+  const { model, messages, stream, ...rest } = req.body;
+  
+  if (!model || !messages) {
+    return res.status(400).json({ error: 'model and messages are required' });
+  }
+  
+  // Get provider key from Authorization header directly
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) {
+    return res.status(401).json({ 
+      error: 'Missing Authorization header',
+      message: 'Pass your provider API key (OpenAI, Anthropic, etc.) in the Authorization header'
+    });
+  }
+  
+  const providerKey = authHeader.replace('Bearer ', '');
+  
+  // Detect provider from key or model
+  let provider = detectProviderFromKey(providerKey);
+  if (!provider) {
+    provider = detectProviderFromModel(model);
+  }
+  
+  // Verify the key and get/create its account
+  const { account, status: authStatus, error: authError } = await authenticateProviderKey(providerKey, provider);
+  if (!account) {
+    return res.status(authStatus).json({ error: 'Provider key could not be verified', message: authError });
+  }
+  const accountId = account.workspace_id;
+  
+  const taskId = crypto.randomUUID();
+  const traceId = crypto.randomUUID();
+  const agentName = req.headers['x-agentlog-agent'] || 'proxy';
+  const promptText = messages.map(m => `${m.role}: ${renderMessageText(m)}`).join('\n');
   
   // Store original request for replay capability
   const originalRequest = JSON.stringify({ model, messages, ...rest });
+  const metadata = { stream: !!stream, message_count: messages.length };
+  
+  const blocked = enforceBudgets(res, {
+    accountId, agentName, description: `Proxy: ${model}`, provider, model, prompt: promptText, metadata
+  });
+  if (blocked) {
+    return res.status(429).json({
+      error: { message: `AgentLog budget exceeded: ${describeBudget(blocked)}`, type: 'rate_limit_exceeded', param: null, code: 'budget_exceeded' }
+    });
+  }
+  
+  // Answer identical requests from the response cache when enabled
+  const cacheKey = getCacheKey(req, accountId, '/v1/chat/completions');
+  const cached = cacheKey && getCachedResponse(accountId, cacheKey);
+  if (cached) {
+    logCacheHit(cached, {
+      accountId, agentName, description: `Proxy: ${model}`, provider, model,
+      prompt: promptText, metadata, originalRequest, startTime
+    });
+    console.log(`[PROXY] ⚡ Cache hit ${model} | Account ${accountId.substring(0, 8)}...`);
+    res.set('X-AgentLog-Cache', 'HIT');
+    return res.json(JSON.parse(cached.response));
+  }
+  if (cacheKey) res.set('X-AgentLog-Cache', 'MISS');
   
-  // Log as running
+  // Log as running, with payloads redacted per the account's settings
+  const payload = preparePayloads(accountId, taskId, { prompt: promptText, original_request: originalRequest }, metadata);
   db.prepare(`
     INSERT INTO tasks (
       id, account_id, agent_name, description, status, duration_ms, cost, provider, metadata, created_at,
       model, prompt, trace_id, started_at, original_request
     )
-    VALUES (?, ?, 'proxy', ?, 'running', 0, 0, ?, ?, ?, ?, ?, ?, ?, ?)
+    VALUES (?, ?, ?, ?, 'running', 0, 0, ?, ?, ?, ?, ?, ?, ?, ?)
   `).run(
     taskId,
-    account.id,
+    accountId,
+    agentName,
     `Proxy: ${model}`,
     provider,
-    JSON.stringify({ stream: !!stream, message_count: messages.length }),
+    JSON.stringify(metadata),
     new Date().toISOString(),
     model,
-    promptText,
+    payload.prompt,
     traceId,
     new Date().toISOString(),
-    originalRequest
+    payload.original_request
   );
   
-  console.log(`[PROXY] ${provider}/${model} | Account ${account.id.substring(0, 8)}...`);
+  publishTaskEvent(taskId, { created: true });
+  console.log(`[PROXY] ${provider}/${model} | Account ${accountId.substring(0, 8)}...`);
+  
+  // Fallback chain configured for this model, if any
+  const chain = getFallbackChain(accountId, model);
+  const targets = chain
+    ? buildFallbackTargets(chain, { provider, model, key: providerKey }, req.headers['x-fallback-keys'])
+    : [{ provider, model, key: providerKey }];
   
   try {
-    let response;
     let responseData;
     let tokensIn = 0;
     let tokensOut = 0;
+    let cachedTokens = 0;
     let completionText = '';
+    // Whether the token counts came from the provider's usage or our tokenizer
+    let tokensExact = false;
     
-    if (provider === 'anthropic') {
-      const anthropicRequest = convertToAnthropic(req.body);
-      
+    const { response, target, attempts } = await fetchWithFallback(targets, req.body, {
+      stream, chain, accountId, agentName, traceId, parentId: taskId
+    });
+    const activeProvider = target.provider;
+    const activeModel = target.model;
+    const activeFormat = getProviderConfig(activeProvider).format;
+    
+    // Emit an OpenAI chat.completion.chunk when translating another provider's stream
+    const writeChunk = (delta, finishReason = null) => {
+      res.write(`data: ${JSON.stringify({ id: 'chatcmpl-' + taskId, object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model: activeModel, choices: [{ index: 0, delta, finish_reason: finishReason }] })}\n\n`);
+    };
+    
+    if (activeFormat === 'anthropic') {
       if (stream) {
-        response = await fetch(getProviderEndpoint(provider), {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'x-api-key': providerKey, 'anthropic-version': '2023-06-01' },
-          body: JSON.stringify(anthropicRequest)
-        });
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
         
-        if (!response.ok) throw new Error(`Anthropic error: ${response.status} - ${await response.text()}`);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let finishReason = 'stop';
+        // Anthropic content block index -> OpenAI tool_calls index
+        const toolCallIndexes = {};
+        const toolCalls = [];
         
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+          
+          for (const line of lines) {
+            if (line.startsWith('data: ')) {
+              const data = line.slice(6);
+              if (data === '[DONE]') { res.write('data: [DONE]\n\n'); continue; }
+              try {
+                const event = JSON.parse(data);
+                if (event.type === 'message_start' && event.message?.usage) {
+                  tokensIn = event.message.usage.input_tokens || 0;
+                  tokensExact = true;
+                }
+                if (event.type === 'message_delta') {
+                  tokensOut = event.usage?.output_tokens || 0;
+                  if (event.delta?.stop_reason) finishReason = mapAnthropicStopReason(event.delta.stop_reason);
+                }
+                if (event.type === 'content_block_start' && event.content_block?.type === 'tool_use') {
+                  const toolIndex = toolCalls.length;
+                  toolCallIndexes[event.index] = toolIndex;
+                  toolCalls.push({ id: event.content_block.id, type: 'function', function: { name: event.content_block.name, arguments: '' } });
+                  writeChunk({ tool_calls: [{ index: toolIndex, id: event.content_block.id, type: 'function', function: { name: event.content_block.name, arguments: '' } }] });
+                }
+                if (event.type === 'content_block_delta' && event.delta?.type === 'input_json_delta') {
+                  const toolIndex = toolCallIndexes[event.index];
+                  if (toolIndex !== undefined) {
+                    toolCalls[toolIndex].function.arguments += event.delta.partial_json || '';
+                    writeChunk({ tool_calls: [{ index: toolIndex, function: { arguments: event.delta.partial_json || '' } }] });
+                  }
+                }
+                if (event.type === 'content_block_delta' && event.delta?.text) {
+                  completionText += event.delta.text;
+                  writeChunk({ content: event.delta.text });
+                }
+                if (event.type === 'message_stop') {
+                  writeChunk({}, finishReason);
+                  res.write('data: [DONE]\n\n');
+                }
+              } catch (e) {}
+            }
+          }
+        }
+        res.end();
+        if (!completionText && toolCalls.length) completionText = JSON.stringify(toolCalls);
+      } else {
+        const anthropicData = await response.json();
+        responseData = convertFromAnthropic(anthropicData, activeModel);
+        tokensIn = responseData.usage.prompt_tokens;
+        tokensOut = responseData.usage.completion_tokens;
+        tokensExact = !!anthropicData.usage;
+        completionText = completionTextFromMessage(responseData.choices[0]?.message);
+        res.json(responseData);
+      }
+    } else if (activeFormat === 'gemini') {
+      if (stream) {
         res.setHeader('Content-Type', 'text/event-stream');
         res.setHeader('Cache-Control', 'no-cache');
         res.setHeader('Connection', 'keep-alive');
@@ -1002,6 +4594,8 @@ app.post('/v1/chat/completions', async (req, res) => {
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
         let buffer = '';
+        let finishReason = 'stop';
+        const toolCalls = [];
         
         while (true) {
           const { done, value } = await reader.read();
@@ -1013,63 +4607,49 @@ app.post('/v1/chat/completions', async (req, res) => {
           
           for (const line of lines) {
             if (line.startsWith('data: ')) {
-              const data = line.slice(6);
-              if (data === '[DONE]') { res.write('data: [DONE]\n\n'); continue; }
               try {
-                const event = JSON.parse(data);
-                if (event.type === 'message_start') tokensIn = event.message?.usage?.input_tokens || 0;
-                if (event.type === 'message_delta') tokensOut = event.usage?.output_tokens || 0;
-                if (event.type === 'content_block_delta' && event.delta?.text) {
-                  completionText += event.delta.text;
-                  res.write(`data: ${JSON.stringify({ id: 'chatcmpl-' + taskId, object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model, choices: [{ index: 0, delta: { content: event.delta.text }, finish_reason: null }] })}\n\n`);
+                const chunk = JSON.parse(line.slice(6));
+                // Every chunk carries cumulative usage, so the last one wins
+                if (chunk.usageMetadata) {
+                  tokensIn = chunk.usageMetadata.promptTokenCount || 0;
+                  tokensOut = chunk.usageMetadata.candidatesTokenCount || 0;
+                  tokensExact = true;
                 }
-                if (event.type === 'message_stop') {
-                  res.write(`data: ${JSON.stringify({ id: 'chatcmpl-' + taskId, object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
-                  res.write('data: [DONE]\n\n');
+                
+                const candidate = chunk.candidates?.[0];
+                for (const part of candidate?.content?.parts || []) {
+                  if (part.text && !part.thought) {
+                    completionText += part.text;
+                    writeChunk({ content: part.text });
+                  }
+                  if (part.functionCall) {
+                    const toolCall = { id: 'call_' + crypto.randomUUID().replace(/-/g, ''), type: 'function', function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) } };
+                    writeChunk({ tool_calls: [{ index: toolCalls.length, ...toolCall }] });
+                    toolCalls.push(toolCall);
+                  }
                 }
+                if (candidate?.finishReason) finishReason = mapGeminiFinishReason(candidate.finishReason, toolCalls.length > 0);
               } catch (e) {}
             }
           }
         }
+        
+        writeChunk({}, finishReason);
+        res.write('data: [DONE]\n\n');
         res.end();
+        if (!completionText && toolCalls.length) completionText = JSON.stringify(toolCalls);
       } else {
-        response = await fetch(getProviderEndpoint(provider), {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json', 'x-api-key': providerKey, 'anthropic-version': '2023-06-01' },
-          body: JSON.stringify(anthropicRequest)
-        });
-        
-        if (!response.ok) throw new Error(`Anthropic error: ${response.status} - ${await response.text()}`);
-        
-        const anthropicData = await response.json();
-        responseData = convertFromAnthropic(anthropicData, model);
+        const geminiData = await response.json();
+        responseData = convertFromGemini(geminiData, activeModel);
         tokensIn = responseData.usage.prompt_tokens;
         tokensOut = responseData.usage.completion_tokens;
-        completionText = responseData.choices[0]?.message?.content || '';
+        tokensExact = !!geminiData.usageMetadata;
+        completionText = completionTextFromMessage(responseData.choices[0]?.message);
         res.json(responseData);
       }
-    } else if (provider === 'google') {
-      const geminiRequest = convertToGemini(req.body);
-      const url = `${getProviderEndpoint(provider)}/${model}:generateContent?key=${providerKey}`;
-      
-      response = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(geminiRequest) });
-      if (!response.ok) throw new Error(`Gemini error: ${response.status} - ${await response.text()}`);
-      
-      const geminiData = await response.json();
-      responseData = convertFromGemini(geminiData, model);
-      tokensIn = responseData.usage.prompt_tokens;
-      tokensOut = responseData.usage.completion_tokens;
-      completionText = responseData.choices[0]?.message?.content || '';
-      res.json(responseData);
     } else {
-      // OpenAI, xAI, OpenRouter
-      const endpoint = getProviderEndpoint(provider);
-      const headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${providerKey}` };
-      
+      // OpenAI-compatible (OpenAI, xAI, OpenRouter, Azure, self-hosted)
       if (stream) {
-        response = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify({ model, messages, stream: true, ...rest }) });
-        if (!response.ok) throw new Error(`${provider} error: ${response.status} - ${await response.text()}`);
-        
         res.setHeader('Content-Type', 'text/event-stream');
         res.setHeader('Cache-Control', 'no-cache');
         res.setHeader('Connection', 'keep-alive');
@@ -1077,6 +4657,9 @@ app.post('/v1/chat/completions', async (req, res) => {
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
         let buffer = '';
+        // We always request usage upstream; only pass it through if the client asked for it
+        const clientWantsUsage = req.body.stream_options?.include_usage === true;
+        let usage = null;
         
         while (true) {
           const { done, value } = await reader.read();
@@ -1088,51 +4671,86 @@ app.post('/v1/chat/completions', async (req, res) => {
           
           for (const line of lines) {
             if (line.startsWith('data: ')) {
-              res.write(line + '\n\n');
               const data = line.slice(6);
+              let output = line;
               if (data !== '[DONE]') {
                 try {
                   const chunk = JSON.parse(data);
                   const delta = chunk.choices?.[0]?.delta?.content;
                   if (delta) completionText += delta;
+                  if (chunk.usage) usage = chunk.usage;
+                  if (!clientWantsUsage && 'usage' in chunk) {
+                    // The usage-only chunk has no choices; other chunks carry "usage": null
+                    if (!chunk.choices?.length) continue;
+                    delete chunk.usage;
+                    output = 'data: ' + JSON.stringify(chunk);
+                  }
                 } catch (e) {}
               }
+              res.write(output + '\n\n');
             }
           }
         }
         res.end();
-        tokensIn = estimateTokens(promptText);
-        tokensOut = estimateTokens(completionText);
+        if (usage) {
+          tokensIn = usage.prompt_tokens || 0;
+          tokensOut = usage.completion_tokens || 0;
+          cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+          tokensExact = true;
+        }
       } else {
-        response = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify({ model, messages, stream: false, ...rest }) });
-        if (!response.ok) throw new Error(`${provider} error: ${response.status} - ${await response.text()}`);
-        
         responseData = await response.json();
-        tokensIn = responseData.usage?.prompt_tokens || estimateTokens(promptText);
-        tokensOut = responseData.usage?.completion_tokens || 0;
-        completionText = responseData.choices?.[0]?.message?.content || '';
+        if (responseData.usage) {
+          tokensIn = responseData.usage.prompt_tokens || 0;
+          tokensOut = responseData.usage.completion_tokens || 0;
+          cachedTokens = responseData.usage.prompt_tokens_details?.cached_tokens || 0;
+          tokensExact = true;
+        }
+        completionText = completionTextFromMessage(responseData.choices?.[0]?.message);
         res.json(responseData);
       }
     }
     
-    // Update task with success
+    // No usage from the provider, so count with the tokenizer instead
+    if (!tokensExact) {
+      tokensIn = estimateTokens(promptText, activeModel);
+      tokensOut = estimateTokens(completionText, activeModel);
+    }
+    
+    // Update task with success, recording which provider actually answered
     const durationMs = Date.now() - startTime;
-    const cost = calculateCost(model, tokensIn, tokensOut);
+    const cost = calculateCost(activeModel, tokensIn, tokensOut, cachedTokens);
+    const finalMetadata = {
+      ...metadata,
+      token_count: tokensExact ? 'exact' : 'estimated',
+      ...(cachedTokens && { cached_tokens: cachedTokens }),
+      cost_breakdown: calculateCostBreakdown(activeModel, tokensIn, tokensOut, cachedTokens)
+    };
+    if (chain) {
+      finalMetadata.fallback = { requested_model: model, answered_provider: activeProvider, answered_model: activeModel, attempts };
+    }
+    
+    const { completion } = preparePayloads(accountId, taskId, { completion: completionText }, finalMetadata);
+    db.prepare(`UPDATE tasks SET status = 'success', duration_ms = ?, cost = ?, completion = ?, tokens_in = ?, tokens_out = ?, provider = ?, model = ?, metadata = ?, completed_at = ? WHERE id = ?`)
+      .run(durationMs, cost, completion, tokensIn, tokensOut, activeProvider, activeModel, JSON.stringify(finalMetadata), new Date().toISOString(), taskId);
+    publishTaskEvent(taskId);
     
-    db.prepare(`UPDATE tasks SET status = 'success', duration_ms = ?, cost = ?, completion = ?, tokens_in = ?, tokens_out = ?, completed_at = ? WHERE id = ?`)
-      .run(durationMs, cost, completionText, tokensIn, tokensOut, new Date().toISOString(), taskId);
+    if (cacheKey && responseData) {
+      storeCachedResponse(accountId, cacheKey, { endpoint: '/v1/chat/completions', model, response: responseData, completion: completionText, taskId });
+    }
     
-    console.log(`[PROXY] ✓ ${model} | ${durationMs}ms | ${tokensIn}+${tokensOut} tokens | $${cost.toFixed(4)}`);
+    console.log(`[PROXY] ✓ ${activeModel} | ${durationMs}ms | ${tokensIn}+${tokensOut} tokens | $${cost.toFixed(4)}`);
     
   } catch (error) {
     const durationMs = Date.now() - startTime;
     db.prepare(`UPDATE tasks SET status = 'failed', duration_ms = ?, error = ?, completed_at = ? WHERE id = ?`)
-      .run(durationMs, error.message, new Date().toISOString(), taskId);
+      .run(durationMs, prepareError(accountId, taskId, error.message), new Date().toISOString(), taskId);
+    publishTaskEvent(taskId);
     
     console.error(`[PROXY] ✗ ${model} | ${error.message}`);
     
     if (!res.headersSent) {
-      res.status(500).json({ error: { message: error.message, type: 'proxy_error', provider: provider } });
+      res.status(error.status || 500).json({ error: { message: error.message, type: 'proxy_error', provider: provider } });
     }
   }
 });
@@ -1145,6 +4763,468 @@ app.get('/v1/models', (req, res) => {
   res.json({ object: 'list', data: models });
 });
 
+// ===== EMBEDDINGS PROXY =====
+
+// USD per 1K input tokens
+const EMBEDDING_COSTS = {
+  'text-embedding-3-small': 0.00002,
+  'text-embedding-3-large': 0.00013,
+  'text-embedding-ada-002': 0.0001,
+  'text-embedding-004': 0,
+  'embedding-001': 0,
+  'gemini-embedding-001': 0.00015,
+};
+
+function calculateEmbeddingCost(model, tokens) {
+  // OpenRouter names models vendor/model
+  const name = model.split('/').pop();
+  const matchedKey = EMBEDDING_COSTS[name] !== undefined ? name : Object.keys(EMBEDDING_COSTS).find(key => name.includes(key));
+  return matchedKey ? (tokens / 1000) * EMBEDDING_COSTS[matchedKey] : 0;
+}
+
+// OpenAI accepts a string, an array of strings, or pre-tokenized input (arrays of token ids)
+function normalizeEmbeddingInput(input) {
+  if (typeof input === 'string') return [input];
+  if (Array.isArray(input) && input.length && input.every(item => typeof item === 'number')) return [input];
+  return Array.isArray(input) ? input : [];
+}
+
+function renderEmbeddingInput(item) {
+  return typeof item === 'string' ? item : `[${item.length} tokens]`;
+}
+
+// Gemini returns float vectors; OpenAI's base64 format is the little-endian float32 bytes
+function encodeEmbedding(values, encodingFormat) {
+  if (encodingFormat !== 'base64') return values;
+  return Buffer.from(new Float32Array(values).buffer).toString('base64');
+}
+
+function embeddingDimensions(embedding) {
+  if (typeof embedding === 'string') return Buffer.from(embedding, 'base64').length / 4;
+  return embedding?.length || 0;
+}
+
+// Call Gemini's embedContent (one input) or batchEmbedContents (several) and answer in OpenAI format
+async function fetchGeminiEmbeddings(provider, model, key, inputs, { dimensions, encoding_format }) {
+  if (inputs.some(item => typeof item !== 'string')) {
+    const error = new Error('Gemini embeddings only accept text input');
+    error.status = 400;
+    throw error;
+  }
+  
+  const toRequest = text => ({
+    model: `models/${model}`,
+    content: { parts: [{ text }] },
+    ...(dimensions && { outputDimensionality: dimensions })
+  });
+  const batch = inputs.length > 1;
+  const path = `/models/${model}:${batch ? 'batchEmbedContents' : 'embedContent'}`;
+  const headers = { 'Content-Type': 'application/json', ...getProviderConfig(provider).headers };
+  const { url } = applyProviderAuth(provider, key, getProviderUrl(provider, path, model), headers);
+  
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(batch ? { requests: inputs.map(toRequest) } : toRequest(inputs[0]))
+  });
+  if (!response.ok) {
+    const error = new Error(`Gemini error: ${response.status} - ${await response.text()}`);
+    error.status = response.status;
+    throw error;
+  }
+  
+  const geminiData = await response.json();
+  const vectors = batch ? (geminiData.embeddings || []) : [geminiData.embedding];
+  return {
+    object: 'list',
+    data: vectors.map((vector, index) => ({ object: 'embedding', index, embedding: encodeEmbedding(vector?.values || [], encoding_format) })),
+    model,
+    // Gemini doesn't report usage for embeddings
+    usage: null
+  };
+}
+
+app.post('/v1/embeddings', async (req, res) => {
+  const startTime = Date.now();
+  const { model, input } = req.body;
+  
+  if (!model || input === undefined) {
+    return res.status(400).json({ error: 'model and input are required' });
+  }
+  
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) {
+    return res.status(401).json({ 
+      error: 'Missing Authorization header',
+      message: 'Pass your provider API key (OpenAI, Google, etc.) in the Authorization header'
+    });
+  }
+  
+  const providerKey = authHeader.replace('Bearer ', '');
+  const provider = detectProviderFromKey(providerKey) || detectProviderFromModel(model);
+  const format = getProviderConfig(provider).format;
+  if (format === 'anthropic') {
+    return res.status(400).json({ error: { message: `${provider} does not offer an embeddings API`, type: 'invalid_request_error', param: 'model', code: null } });
+  }
+  
+  const inputs = normalizeEmbeddingInput(input);
+  if (!inputs.length) {
+    return res.status(400).json({ error: 'input must be a string or a non-empty array' });
+  }
+  
+  const { account, status: authStatus, error: authError } = await authenticateProviderKey(providerKey, provider);
+  if (!account) {
+    return res.status(authStatus).json({ error: 'Provider key could not be verified', message: authError });
+  }
+  const accountId = account.workspace_id;
+  const taskId = crypto.randomUUID();
+  const agentName = req.headers['x-agentlog-agent'] || 'proxy';
+  const promptText = inputs.map(renderEmbeddingInput).join('\n');
+  const metadata = { input_count: inputs.length, encoding_format: req.body.encoding_format || 'float' };
+  
+  const blocked = enforceBudgets(res, {
+    accountId, agentName, description: `Embeddings: ${model}`, provider, model, prompt: promptText.substring(0, 50000), metadata
+  });
+  if (blocked) {
+    return res.status(429).json({
+      error: { message: `AgentLog budget exceeded: ${describeBudget(blocked)}`, type: 'rate_limit_exceeded', param: null, code: 'budget_exceeded' }
+    });
+  }
+  
+  const payload = preparePayloads(accountId, taskId, { prompt: promptText.substring(0, 50000) }, metadata);
+  db.prepare(`
+    INSERT INTO tasks (
+      id, account_id, agent_name, description, status, duration_ms, cost, provider, metadata, created_at,
+      model, prompt, trace_id, started_at
+    )
+    VALUES (?, ?, ?, ?, 'running', 0, 0, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    taskId,
+    accountId,
+    agentName,
+    `Embeddings: ${model}`,
+    provider,
+    JSON.stringify(metadata),
+    new Date().toISOString(),
+    model,
+    payload.prompt,
+    crypto.randomUUID(),
+    new Date().toISOString()
+  );
+  
+  publishTaskEvent(taskId, { created: true });
+  console.log(`[EMBEDDINGS] ${provider}/${model} | ${inputs.length} input(s) | Account ${accountId.substring(0, 8)}...`);
+  
+  try {
+    let responseData;
+    if (format === 'gemini') {
+      responseData = await fetchGeminiEmbeddings(provider, model, providerKey, inputs, req.body);
+    } else {
+      const headers = { 'Content-Type': 'application/json', ...getProviderConfig(provider).headers };
+      const { url } = applyProviderAuth(provider, providerKey, getProviderUrl(provider, '/embeddings', model), headers);
+      const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(req.body) });
+      if (!response.ok) {
+        const error = new Error(`${provider} error: ${response.status} - ${await response.text()}`);
+        error.status = response.status;
+        throw error;
+      }
+      responseData = await response.json();
+    }
+    
+    // Fall back to the tokenizer when the provider didn't report usage
+    const tokensExact = !!responseData.usage;
+    const tokensIn = tokensExact
+      ? responseData.usage.prompt_tokens || 0
+      : inputs.reduce((sum, item) => sum + (typeof item === 'string' ? estimateTokens(item, model) : item.length), 0);
+    if (!tokensExact) responseData.usage = { prompt_tokens: tokensIn, total_tokens: tokensIn };
+    
+    // Vectors are not stored, only their size
+    const durationMs = Date.now() - startTime;
+    const cost = calculateEmbeddingCost(model, tokensIn);
+    const finalMetadata = {
+      ...metadata,
+      dimensions: embeddingDimensions(responseData.data?.[0]?.embedding),
+      token_count: tokensExact ? 'exact' : 'estimated',
+      cost_breakdown: { input: cost, output: 0 }
+    };
+    
+    db.prepare(`UPDATE tasks SET status = 'success', duration_ms = ?, cost = ?, tokens_in = ?, tokens_out = 0, metadata = ?, completed_at = ? WHERE id = ?`)
+      .run(durationMs, cost, tokensIn, JSON.stringify(finalMetadata), new Date().toISOString(), taskId);
+    publishTaskEvent(taskId);
+    
+    console.log(`[EMBEDDINGS] ✓ ${model} | ${durationMs}ms | ${tokensIn} tokens | ${finalMetadata.dimensions} dims | $${cost.toFixed(6)}`);
+    res.json(responseData);
+    
+  } catch (error) {
+    const durationMs = Date.now() - startTime;
+    db.prepare(`UPDATE tasks SET status = 'failed', duration_ms = ?, error = ?, completed_at = ? WHERE id = ?`)
+      .run(durationMs, prepareError(accountId, taskId, error.message), new Date().toISOString(), taskId);
+    publishTaskEvent(taskId);
+    
+    console.error(`[EMBEDDINGS] ✗ ${model} | ${error.message}`);
+    res.status(error.status || 500).json({ error: { message: error.message, type: 'proxy_error', provider } });
+  }
+});
+
+// ===== RESPONSES API PROXY =====
+
+// Readable text rendering of Responses API input items for the task log
+function renderResponsesInput(input) {
+  if (typeof input === 'string') return `user: ${input}`;
+  if (!Array.isArray(input)) return '';
+  
+  return input.map(item => {
+    if (item.type === 'function_call') return `assistant: [tool_call: ${item.name}(${item.arguments || ''})]`;
+    if (item.type === 'function_call_output') {
+      return `tool: ${typeof item.output === 'string' ? item.output : renderContentText(item.output)}`;
+    }
+    if (item.type === 'reasoning') return null;
+    if (item.role) return `${item.role}: ${renderContentText(item.content)}`;
+    return `[${item.type}]`;
+  }).filter(Boolean).join('\n');
+}
+
+// Output text, tool calls (function and built-in) and usage from a Response object
+function summarizeResponse(response) {
+  const output = response?.output || [];
+  const text = output
+    .filter(item => item.type === 'message')
+    .flatMap(item => item.content || [])
+    .filter(part => part.type === 'output_text')
+    .map(part => part.text)
+    .join('');
+  const toolCalls = output
+    .filter(item => item.type?.endsWith('_call'))
+    .map(item => ({ type: item.type, name: item.name, call_id: item.call_id, arguments: item.arguments }));
+  
+  return {
+    text,
+    toolCalls,
+    tokensIn: response?.usage?.input_tokens || 0,
+    tokensOut: response?.usage?.output_tokens || 0,
+    reasoningTokens: response?.usage?.output_tokens_details?.reasoning_tokens || 0,
+    cachedTokens: response?.usage?.input_tokens_details?.cached_tokens || 0
+  };
+}
+
+// POST /v1/responses - OpenAI Responses API proxy
+app.post('/v1/responses', largeJsonBody, async (req, res) => {
+  const startTime = Date.now();
+  const { model, input, stream, previous_response_id } = req.body;
+  
+  if (!model || input === undefined) {
+    return res.status(400).json({ error: { message: 'model and input are required', type: 'invalid_request_error', param: null, code: null } });
+  }
+  if (typeof input !== 'string' && !(Array.isArray(input) && input.every(item => item && typeof item === 'object'))) {
+    return res.status(400).json({ error: { message: 'input must be a string or an array of input items', type: 'invalid_request_error', param: 'input', code: null } });
+  }
+  
+  const authHeader = req.headers.authorization;
+  if (!authHeader?.startsWith('Bearer ')) {
+    return res.status(401).json({ 
+      error: 'Missing Authorization header',
+      message: 'Pass your OpenAI API key in the Authorization header'
+    });
+  }
+  
+  const providerKey = authHeader.replace('Bearer ', '');
+  const provider = detectProviderFromKey(providerKey) || detectProviderFromModel(model);
+  if (getProviderConfig(provider).format !== 'openai') {
+    return res.status(400).json({ error: { message: `${provider} does not offer the Responses API`, type: 'invalid_request_error', param: 'model', code: null } });
+  }
+  
+  const { account, status: authStatus, error: authError } = await authenticateProviderKey(providerKey, provider);
+  if (!account) {
+    return res.status(authStatus).json({ error: 'Provider key could not be verified', message: authError });
+  }
+  const accountId = account.workspace_id;
+  const taskId = crypto.randomUUID();
+  const agentName = req.headers['x-agentlog-agent'] || 'proxy';
+  const promptText = [req.body.instructions && `system: ${req.body.instructions}`, renderResponsesInput(input)].filter(Boolean).join('\n');
+  const metadata = {
+    stream: !!stream,
+    input_items: typeof input === 'string' ? 1 : input.length,
+    ...(previous_response_id && { previous_response_id })
+  };
+  
+  // A response that continues an earlier one joins its trace, as a child of the earlier task
+  const previous = previous_response_id
+    ? db.prepare('SELECT task_id, trace_id FROM openai_responses WHERE id = ? AND account_id = ?').get(previous_response_id, accountId)
+    : null;
+  const traceId = previous?.trace_id || crypto.randomUUID();
+  
+  const blocked = enforceBudgets(res, {
+    accountId, agentName, description: `Responses: ${model}`, provider, model, prompt: promptText.substring(0, 50000), metadata
+  });
+  if (blocked) {
+    return res.status(429).json({
+      error: { message: `AgentLog budget exceeded: ${describeBudget(blocked)}`, type: 'rate_limit_exceeded', param: null, code: 'budget_exceeded' }
+    });
+  }
+  
+  const payload = preparePayloads(accountId, taskId, { prompt: promptText.substring(0, 50000), original_request: JSON.stringify(req.body) }, metadata);
+  db.prepare(`
+    INSERT INTO tasks (
+      id, account_id, agent_name, description, status, duration_ms, cost, provider, metadata, created_at,
+      model, prompt, trace_id, parent_id, started_at, original_request
+    )
+    VALUES (?, ?, ?, ?, 'running', 0, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    taskId,
+    accountId,
+    agentName,
+    `Responses: ${model}`,
+    provider,
+    JSON.stringify(metadata),
+    new Date().toISOString(),
+    model,
+    payload.prompt,
+    traceId,
+    previous?.task_id || null,
+    new Date().toISOString(),
+    payload.original_request
+  );
+  
+  publishTaskEvent(taskId, { created: true });
+  console.log(`[RESPONSES] ${provider}/${model} | Account ${accountId.substring(0, 8)}...${previous ? ` | continues ${previous_response_id}` : ''}`);
+  
+  const headers = { 'Content-Type': 'application/json', ...getProviderConfig(provider).headers };
+  const { url } = applyProviderAuth(provider, providerKey, getProviderUrl(provider, '/responses', model), headers);
+  
+  const linkResponse = (responseId) => {
+    if (!responseId) return;
+    db.prepare('INSERT OR REPLACE INTO openai_responses (id, account_id, task_id, trace_id, created_at) VALUES (?, ?, ?, ?, ?)')
+      .run(responseId, accountId, taskId, traceId, new Date().toISOString());
+  };
+  
+  // Record the final Response (or, if the stream was cut short, what we saw of it)
+  const completeTask = (finalResponse, streamedText = '') => {
+    const summary = summarizeResponse(finalResponse);
+    const completionText = summary.text || streamedText || (summary.toolCalls.length ? JSON.stringify(summary.toolCalls) : '');
+    const tokensExact = !!finalResponse?.usage;
+    const tokensIn = tokensExact ? summary.tokensIn : estimateTokens(promptText, model);
+    const tokensOut = tokensExact ? summary.tokensOut : estimateTokens(completionText, model);
+    const durationMs = Date.now() - startTime;
+    const cachedTokens = tokensExact ? summary.cachedTokens : 0;
+    const cost = calculateCost(model, tokensIn, tokensOut, cachedTokens);
+    const failed = finalResponse?.status === 'failed';
+    
+    const finalMetadata = {
+      ...metadata,
+      response_id: finalResponse?.id,
+      response_status: finalResponse?.status,
+      ...(finalResponse?.incomplete_details && { incomplete_reason: finalResponse.incomplete_details.reason }),
+      reasoning_tokens: summary.reasoningTokens,
+      cached_tokens: summary.cachedTokens,
+      tool_calls: summary.toolCalls.map(call => call.name || call.type),
+      token_count: tokensExact ? 'exact' : 'estimated',
+      cost_breakdown: calculateCostBreakdown(model, tokensIn, tokensOut, cachedTokens)
+    };
+    const { completion } = preparePayloads(accountId, taskId, { completion: completionText.substring(0, 50000) }, finalMetadata);
+    
+    db.prepare(`
+      UPDATE tasks SET 
+        status = ?, duration_ms = ?, cost = ?, error = ?,
+        completion = ?, tokens_in = ?, tokens_out = ?, metadata = ?, completed_at = ?
+      WHERE id = ?
+    `).run(
+      failed ? 'failed' : 'success',
+      durationMs,
+      cost,
+      failed ? prepareError(accountId, taskId, finalResponse.error?.message || 'Response failed') : null,
+      completion,
+      tokensIn,
+      tokensOut,
+      JSON.stringify(finalMetadata),
+      new Date().toISOString(),
+      taskId
+    );
+    publishTaskEvent(taskId);
+    
+    console.log(`[RESPONSES] ${failed ? '✗' : '✓'} ${model} | ${durationMs}ms | ${tokensIn}+${tokensOut} tokens (${summary.reasoningTokens} reasoning) | $${cost.toFixed(4)}`);
+  };
+  
+  try {
+    const response = await fetch(url, { method: 'POST', headers, body: JSON.stringify(req.body) });
+    
+    if (!response.ok) {
+      const errorBody = await response.text();
+      console.error(`[RESPONSES] ✗ ${response.status}: ${errorBody}`);
+      
+      db.prepare(`UPDATE tasks SET status = 'failed', duration_ms = ?, error = ?, completed_at = ? WHERE id = ?`)
+        .run(Date.now() - startTime, prepareError(accountId, taskId, `HTTP ${response.status}: ${errorBody.substring(0, 500)}`), new Date().toISOString(), taskId);
+      publishTaskEvent(taskId);
+      
+      res.status(response.status).set('Content-Type', 'application/json').send(errorBody);
+      return;
+    }
+    
+    if (stream) {
+      // Relay the semantic SSE events untouched, watching for the final response object
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let streamedText = '';
+      let finalResponse = null;
+      
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          if (done) break;
+          
+          buffer += decoder.decode(value, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop() || '';
+          
+          for (const line of lines) {
+            res.write(line + '\n');
+            
+            if (line.startsWith('data: ')) {
+              try {
+                const event = JSON.parse(line.slice(6));
+                if (event.type === 'response.created') linkResponse(event.response?.id);
+                if (event.type === 'response.output_text.delta') streamedText += event.delta || '';
+                if (['response.completed', 'response.incomplete', 'response.failed'].includes(event.type)) {
+                  finalResponse = event.response;
+                }
+              } catch (e) {}
+            }
+          }
+        }
+        
+        if (buffer.trim()) res.write(buffer + '\n');
+      } catch (streamError) {
+        console.error(`[RESPONSES] Stream error: ${streamError.message}`);
+      }
+      
+      res.end();
+      linkResponse(finalResponse?.id);
+      completeTask(finalResponse, streamedText);
+    } else {
+      const data = await response.json();
+      linkResponse(data.id);
+      completeTask(data);
+      res.json(data);
+    }
+    
+  } catch (error) {
+    const durationMs = Date.now() - startTime;
+    db.prepare(`UPDATE tasks SET status = 'failed', duration_ms = ?, error = ?, completed_at = ? WHERE id = ?`)
+      .run(durationMs, prepareError(accountId, taskId, error.message), new Date().toISOString(), taskId);
+    publishTaskEvent(taskId);
+    
+    console.error(`[RESPONSES] ✗ ${model} | ${error.message}`);
+    
+    if (!res.headersSent) {
+      res.status(500).json({ error: { message: error.message, type: 'proxy_error', provider } });
+    }
+  }
+});
+
 // ===== ANTHROPIC MESSAGES API PROXY (for Claude Code) =====
 
 const ANTHROPIC_COSTS = {
@@ -1167,8 +5247,8 @@ const ANTHROPIC_COSTS = {
   'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
 };
 
-function calculateAnthropicCost(model, usage) {
-  if (!usage) return 0;
+function calculateAnthropicCostBreakdown(model, usage) {
+  if (!usage) return { input: 0, output: 0, cache_read: 0, cache_write: 0 };
   
   // Find matching cost entry (try exact match first, then prefix match)
   let costs = ANTHROPIC_COSTS[model];
@@ -1186,7 +5266,12 @@ function calculateAnthropicCost(model, usage) {
   const cacheReadCost = (usage.cache_read_input_tokens || 0) / 1000000 * costs.input * 0.1;
   const cacheWriteCost = (usage.cache_creation_input_tokens || 0) / 1000000 * costs.input * 1.25;
   
-  return inputCost + outputCost + cacheReadCost + cacheWriteCost;
+  return { input: inputCost, output: outputCost, cache_read: cacheReadCost, cache_write: cacheWriteCost };
+}
+
+function calculateAnthropicCost(model, usage) {
+  const breakdown = calculateAnthropicCostBreakdown(model, usage);
+  return breakdown.input + breakdown.output + breakdown.cache_read + breakdown.cache_write;
 }
 
 function extractTaskDescription(messages) {
@@ -1215,7 +5300,7 @@ function extractTaskDescription(messages) {
 }
 
 // POST /v1/messages - Anthropic Messages API proxy
-app.post('/v1/messages', async (req, res) => {
+app.post('/v1/messages', largeJsonBody, async (req, res) => {
   const startTime = Date.now();
   const { model, messages, system, stream, max_tokens, ...rest } = req.body;
   
@@ -1239,50 +5324,85 @@ app.post('/v1/messages', async (req, res) => {
     });
   }
   
-  // Hash key and get/create account
-  const keyHash = hashKey(apiKey);
-  const account = getOrCreateAccount(keyHash, 'anthropic');
+  // Verify the key and get/create its account
+  const { account, status: authStatus, error: authError } = await authenticateProviderKey(apiKey, 'anthropic');
+  if (!account) {
+    return res.status(authStatus).json({
+      type: 'error',
+      error: { type: authStatus === 401 ? 'authentication_error' : 'api_error', message: authError }
+    });
+  }
+  const accountId = account.workspace_id;
   
   const taskId = crypto.randomUUID();
   const traceId = crypto.randomUUID();
+  const agentName = req.headers['x-agentlog-agent'] || 'Claude Code';
   const taskDescription = extractTaskDescription(messages);
-  const promptText = messages.map(m => {
-    const content = typeof m.content === 'string' ? m.content : JSON.stringify(m.content);
-    return `${m.role}: ${content}`;
-  }).join('\n');
+  const promptText = messages.map(m => `${m.role}: ${renderMessageText(m)}`).join('\n');
   
   // Store original request for replay
   const originalRequest = JSON.stringify(req.body);
+  const metadata = { stream: !!stream, message_count: messages.length, has_system: !!system };
+  
+  const blocked = enforceBudgets(res, {
+    accountId, agentName, description: taskDescription, provider: 'anthropic', model,
+    prompt: promptText.substring(0, 50000), metadata
+  });
+  if (blocked) {
+    return res.status(429).json({
+      type: 'error',
+      error: { type: 'rate_limit_error', message: `AgentLog budget exceeded: ${describeBudget(blocked)}` }
+    });
+  }
+  
+  // Answer identical requests from the response cache when enabled
+  const cacheKey = getCacheKey(req, accountId, '/v1/messages');
+  const cached = cacheKey && getCachedResponse(accountId, cacheKey);
+  if (cached) {
+    logCacheHit(cached, {
+      accountId, agentName, description: taskDescription, provider: 'anthropic', model,
+      prompt: promptText.substring(0, 50000), metadata, originalRequest, startTime
+    });
+    console.log(`[ANTHROPIC] ⚡ Cache hit ${model} | Account ${accountId.substring(0, 8)}...`);
+    res.set('X-AgentLog-Cache', 'HIT');
+    return res.json(JSON.parse(cached.response));
+  }
+  if (cacheKey) res.set('X-AgentLog-Cache', 'MISS');
   
-  // Log as running
+  // Log as running, with payloads redacted per the account's settings
+  const payload = preparePayloads(accountId, taskId, { prompt: promptText.substring(0, 50000), original_request: originalRequest }, metadata);
   db.prepare(`
     INSERT INTO tasks (
       id, account_id, agent_name, description, status, duration_ms, cost, provider, metadata, created_at,
       model, prompt, trace_id, started_at, original_request
     )
-    VALUES (?, ?, 'Claude Code', ?, 'running', 0, 0, 'anthropic', ?, ?, ?, ?, ?, ?, ?)
+    VALUES (?, ?, ?, ?, 'running', 0, 0, 'anthropic', ?, ?, ?, ?, ?, ?, ?)
   `).run(
     taskId,
-    account.id,
+    accountId,
+    agentName,
     taskDescription,
-    JSON.stringify({ stream: !!stream, message_count: messages.length, has_system: !!system }),
+    JSON.stringify(metadata),
     new Date().toISOString(),
     model,
-    promptText.substring(0, 50000), // Limit prompt storage
+    payload.prompt,
     traceId,
     new Date().toISOString(),
-    originalRequest
+    payload.original_request
   );
   
-  console.log(`[ANTHROPIC] ${model} | Account ${account.id.substring(0, 8)}... | ${taskDescription.substring(0, 50)}`);
+  publishTaskEvent(taskId, { created: true });
+  console.log(`[ANTHROPIC] ${model} | Account ${accountId.substring(0, 8)}... | ${taskDescription.substring(0, 50)}`);
   
-  // Forward to Anthropic
-  const anthropicUrl = 'https://api.anthropic.com/v1/messages';
+  // Forward to Anthropic, or to a registry provider speaking the Anthropic format that claims this model
+  const modelProvider = detectProviderFromModel(model);
+  const upstreamProvider = getProviderConfig(modelProvider).format === 'anthropic' ? modelProvider : 'anthropic';
+  const upstream = buildProviderRequest(upstreamProvider, model, apiKey);
+  const anthropicUrl = upstream.url;
   
   // Build headers - forward Anthropic-specific headers
   const forwardHeaders = {
-    'Content-Type': 'application/json',
-    'x-api-key': apiKey,
+    ...upstream.headers,
     'anthropic-version': req.headers['anthropic-version'] || '2023-06-01',
   };
   
@@ -1306,7 +5426,8 @@ app.post('/v1/messages', async (req, res) => {
         
         // Update task as failed
         db.prepare(`UPDATE tasks SET status = 'failed', duration_ms = ?, error = ?, completed_at = ? WHERE id = ?`)
-          .run(Date.now() - startTime, `HTTP ${response.status}: ${errorBody.substring(0, 500)}`, new Date().toISOString(), taskId);
+          .run(Date.now() - startTime, prepareError(accountId, taskId, `HTTP ${response.status}: ${errorBody.substring(0, 500)}`), new Date().toISOString(), taskId);
+        publishTaskEvent(taskId);
         
         res.status(response.status).set('Content-Type', 'application/json').send(errorBody);
         return;
@@ -1320,6 +5441,7 @@ app.post('/v1/messages', async (req, res) => {
       let fullCompletion = '';
       let usage = { input_tokens: 0, output_tokens: 0, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 };
       let messageId = null;
+      let usageReported = false;
       
       const reader = response.body.getReader();
       const decoder = new TextDecoder();
@@ -1353,6 +5475,7 @@ app.post('/v1/messages', async (req, res) => {
                   if (event.type === 'message_start' && event.message) {
                     messageId = event.message.id;
                     if (event.message.usage) {
+                      usageReported = true;
                       usage.input_tokens = event.message.usage.input_tokens || 0;
                       usage.cache_read_input_tokens = event.message.usage.cache_read_input_tokens || 0;
                       usage.cache_creation_input_tokens = event.message.usage.cache_creation_input_tokens || 0;
@@ -1388,24 +5511,34 @@ app.post('/v1/messages', async (req, res) => {
       
       res.end();
       
+      // Stream ended before message_start, so count with the tokenizer instead
+      if (!usageReported) {
+        usage.input_tokens = estimateTokens(promptText, model);
+        usage.output_tokens = estimateTokens(fullCompletion, model);
+      }
+      
       // Update task with success
       const durationMs = Date.now() - startTime;
       const cost = calculateAnthropicCost(model, usage);
+      const finalMetadata = { ...metadata, token_count: usageReported ? 'exact' : 'estimated', cost_breakdown: calculateAnthropicCostBreakdown(model, usage) };
+      const { completion } = preparePayloads(accountId, taskId, { completion: fullCompletion.substring(0, 50000) }, finalMetadata);
       
       db.prepare(`
         UPDATE tasks SET 
           status = 'success', duration_ms = ?, cost = ?, 
-          completion = ?, tokens_in = ?, tokens_out = ?, completed_at = ?
+          completion = ?, tokens_in = ?, tokens_out = ?, metadata = ?, completed_at = ?
         WHERE id = ?
       `).run(
         durationMs, 
         cost, 
-        fullCompletion.substring(0, 50000), // Limit completion storage
+        completion,
         usage.input_tokens + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0),
         usage.output_tokens,
+        JSON.stringify(finalMetadata),
         new Date().toISOString(),
         taskId
       );
+      publishTaskEvent(taskId);
       
       console.log(`[ANTHROPIC] ✓ ${model} | ${durationMs}ms | ${usage.input_tokens}+${usage.output_tokens} tokens | $${cost.toFixed(4)}`);
       
@@ -1422,7 +5555,8 @@ app.post('/v1/messages', async (req, res) => {
         console.error(`[ANTHROPIC] ✗ ${response.status}: ${errorBody}`);
         
         db.prepare(`UPDATE tasks SET status = 'failed', duration_ms = ?, error = ?, completed_at = ? WHERE id = ?`)
-          .run(Date.now() - startTime, `HTTP ${response.status}: ${errorBody.substring(0, 500)}`, new Date().toISOString(), taskId);
+          .run(Date.now() - startTime, prepareError(accountId, taskId, `HTTP ${response.status}: ${errorBody.substring(0, 500)}`), new Date().toISOString(), taskId);
+        publishTaskEvent(taskId);
         
         res.status(response.status).set('Content-Type', 'application/json').send(errorBody);
         return;
@@ -1433,26 +5567,35 @@ app.post('/v1/messages', async (req, res) => {
       // Extract completion text
       const completionText = data.content?.[0]?.text || '';
       
-      // Calculate usage and cost
-      const usage = data.usage || {};
+      // Calculate usage and cost; without usage from the provider, count with the tokenizer instead
+      const tokensExact = !!data.usage;
+      const usage = data.usage || { input_tokens: estimateTokens(promptText, model), output_tokens: estimateTokens(completionText, model) };
       const durationMs = Date.now() - startTime;
       const cost = calculateAnthropicCost(model, usage);
+      const finalMetadata = { ...metadata, token_count: tokensExact ? 'exact' : 'estimated', cost_breakdown: calculateAnthropicCostBreakdown(model, usage) };
+      const { completion } = preparePayloads(accountId, taskId, { completion: completionText.substring(0, 50000) }, finalMetadata);
       
       // Update task with success
       db.prepare(`
         UPDATE tasks SET 
           status = 'success', duration_ms = ?, cost = ?, 
-          completion = ?, tokens_in = ?, tokens_out = ?, completed_at = ?
+          completion = ?, tokens_in = ?, tokens_out = ?, metadata = ?, completed_at = ?
         WHERE id = ?
       `).run(
         durationMs,
         cost,
-        completionText.substring(0, 50000),
+        completion,
         (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0),
         usage.output_tokens || 0,
+        JSON.stringify(finalMetadata),
         new Date().toISOString(),
         taskId
       );
+      publishTaskEvent(taskId);
+      
+      if (cacheKey) {
+        storeCachedResponse(accountId, cacheKey, { endpoint: '/v1/messages', model, response: data, completion: completionText.substring(0, 50000), taskId });
+      }
       
       console.log(`[ANTHROPIC] ✓ ${model} | ${durationMs}ms | ${usage.input_tokens || 0}+${usage.output_tokens || 0} tokens | $${cost.toFixed(4)}`);
       
@@ -1464,7 +5607,8 @@ app.post('/v1/messages', async (req, res) => {
     const durationMs = Date.now() - startTime;
     
     db.prepare(`UPDATE tasks SET status = 'failed', duration_ms = ?, error = ?, completed_at = ? WHERE id = ?`)
-      .run(durationMs, error.message, new Date().toISOString(), taskId);
+      .run(durationMs, prepareError(accountId, taskId, error.message), new Date().toISOString(), taskId);
+    publishTaskEvent(taskId);
     
     console.error(`[ANTHROPIC] ✗ ${model} | ${error.message}`);
     
@@ -1491,6 +5635,7 @@ app.post('/api/tasks/:id/analyze', validateApiKey, async (req, res) => {
   if (!task) {
     return res.status(404).json({ error: 'Task not found' });
   }
+  decryptTask(db, task);
   
   if (!task.prompt) {
     return res.status(400).json({ error: 'Task has no prompt to analyze' });
@@ -1538,13 +5683,10 @@ Be constructive and specific. Focus on 2-4 most important issues.`;
     let analysisResult;
     
     if (provider === 'anthropic') {
-      response = await fetch('https://api.anthropic.com/v1/messages', {
+      const { url, headers } = buildProviderRequest('anthropic', 'claude-3-5-haiku-20241022', analysisKey);
+      response = await fetch(url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': analysisKey,
-          'anthropic-version': '2023-06-01'
-        },
+        headers,
         body: JSON.stringify({
           model: 'claude-3-5-haiku-20241022',
           max_tokens: 1024,
@@ -1561,12 +5703,10 @@ Be constructive and specific. Focus on 2-4 most important issues.`;
       analysisResult = JSON.parse(text);
     } else {
       // Default to OpenAI
-      response = await fetch('https://api.openai.com/v1/chat/completions', {
+      const { url, headers } = buildProviderRequest('openai', 'gpt-4o-mini', analysisKey);
+      response = await fetch(url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${analysisKey}`
-        },
+        headers,
         body: JSON.stringify({
           model: 'gpt-4o-mini',
           messages: [{ role: 'user', content: analysisPrompt }],
@@ -1610,6 +5750,7 @@ app.post('/api/tasks/:id/replay', validateApiKey, async (req, res) => {
   if (!originalTask) {
     return res.status(404).json({ error: 'Task not found' });
   }
+  decryptTask(db, originalTask);
   
   // Parse original_request if available, or reconstruct from task data
   let originalRequest = null;
@@ -1707,11 +5848,11 @@ app.post('/api/tasks/:id/replay', validateApiKey, async (req, res) => {
     JSON.stringify({ original_task_id: originalTask.id, replay: true }),
     now,
     originalTask.model,
-    originalTask.prompt,
+    encryptPayload(db, taskPayloadContext(accountId, replayId, 'prompt'), originalTask.prompt),
     replayTraceId,
     originalTask.id,
     now,
-    JSON.stringify(originalRequest)
+    encryptPayload(db, taskPayloadContext(accountId, replayId, 'original_request'), JSON.stringify(originalRequest))
   );
   
   console.log(`[REPLAY] Starting replay of task ${originalTask.id} -> ${replayId}`);
@@ -1725,16 +5866,13 @@ app.post('/api/tasks/:id/replay', validateApiKey, async (req, res) => {
     let tokensIn = 0;
     let tokensOut = 0;
     let completionText = '';
+    const { url, headers, format } = buildProviderRequest(provider, originalRequest.model, providerKey);
     
-    if (provider === 'anthropic') {
+    if (format === 'anthropic') {
       const anthropicRequest = convertToAnthropic(originalRequest);
-      response = await fetch('https://api.anthropic.com/v1/messages', {
+      response = await fetch(url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': providerKey,
-          'anthropic-version': '2023-06-01'
-        },
+        headers,
         body: JSON.stringify(anthropicRequest)
       });
       
@@ -1746,12 +5884,11 @@ app.post('/api/tasks/:id/replay', validateApiKey, async (req, res) => {
       tokensIn = anthropicData.usage?.input_tokens || 0;
       tokensOut = anthropicData.usage?.output_tokens || 0;
       completionText = anthropicData.content?.[0]?.text || '';
-    } else if (provider === 'google') {
-      const geminiRequest = convertToGemini(originalRequest);
-      const url = `https://generativelanguage.googleapis.com/v1beta/models/${originalRequest.model}:generateContent?key=${providerKey}`;
+    } else if (format === 'gemini') {
+      const geminiRequest = await convertToGemini(originalRequest);
       response = await fetch(url, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers,
         body: JSON.stringify(geminiRequest)
       });
       
@@ -1764,14 +5901,10 @@ app.post('/api/tasks/:id/replay', validateApiKey, async (req, res) => {
       tokensOut = geminiData.usageMetadata?.candidatesTokenCount || 0;
       completionText = geminiData.candidates?.[0]?.content?.parts?.[0]?.text || '';
     } else {
-      // OpenAI / xAI / OpenRouter
-      const endpoint = getProviderEndpoint(provider);
-      response = await fetch(endpoint, {
+      // OpenAI-compatible (OpenAI, xAI, OpenRouter, Azure, self-hosted)
+      response = await fetch(url, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${providerKey}`
-        },
+        headers,
         body: JSON.stringify(originalRequest)
       });
       
@@ -1787,14 +5920,16 @@ app.post('/api/tasks/:id/replay', validateApiKey, async (req, res) => {
     
     const durationMs = Date.now() - startTime;
     const cost = calculateCost(originalRequest.model, tokensIn, tokensOut);
+    const replayMetadata = { original_task_id: originalTask.id, replay: true };
+    const { completion } = preparePayloads(accountId, replayId, { completion: completionText }, replayMetadata);
     
     // Update task with success
     db.prepare(`
       UPDATE tasks SET 
         status = 'success', duration_ms = ?, cost = ?, 
-        completion = ?, tokens_in = ?, tokens_out = ?, completed_at = ?
+        completion = ?, tokens_in = ?, tokens_out = ?, metadata = ?, completed_at = ?
       WHERE id = ?
-    `).run(durationMs, cost, completionText, tokensIn, tokensOut, new Date().toISOString(), replayId);
+    `).run(durationMs, cost, completion, tokensIn, tokensOut, JSON.stringify(replayMetadata), new Date().toISOString(), replayId);
     
     console.log(`[REPLAY] ✓ ${originalRequest.model} | ${durationMs}ms | $${cost.toFixed(4)}`);
     
@@ -1814,7 +5949,7 @@ app.post('/api/tasks/:id/replay', validateApiKey, async (req, res) => {
     db.prepare(`
       UPDATE tasks SET status = 'failed', duration_ms = ?, error = ?, completed_at = ?
       WHERE id = ?
-    `).run(durationMs, error.message, new Date().toISOString(), replayId);
+    `).run(durationMs, prepareError(accountId, replayId, error.message), new Date().toISOString(), replayId);
     
     console.error(`[REPLAY] ✗ ${error.message}`);
     
@@ -1834,6 +5969,10 @@ app.listen(PORT, () => {
   console.log(`Proxy endpoints:`);
   console.log(`  POST /v1/chat/completions - OpenAI-compatible (use your provider key)`);
   console.log(`  POST /v1/messages - Anthropic Messages API (for Claude Code)`);
+  console.log(`  POST /v1/embeddings - OpenAI-compatible embeddings`);
+  console.log(`  POST /v1/responses - OpenAI Responses API`);
+  console.log(`OTLP trace ingest: POST /v1/traces`);
+  console.log(`Live events: GET /api/events`);
   console.log(`Account lookup: POST /api/account/lookup`);
   console.log(`Analysis: POST /api/tasks/:id/analyze`);
   console.log(`Replay: POST /api/tasks/:id/replay`);
@@ -0,0 +1,654 @@
+const Database = require('better-sqlite3');
+const crypto = require('crypto');
+
+// ===== SCHEMA MIGRATIONS =====
+//
+// Numbered migrations, applied in order at startup, each in its own transaction together
+// with its schema_version row. Never edit a migration that has shipped; add a new one.
+//
+// Migrations 1-10 describe the schema as it was before versioning existed. They only use
+// IF NOT EXISTS and column checks, so unversioned databases of any age can adopt them.
+// A migration that rebuilds tasks drops its triggers, so it must recreate them.
+
+// Columns that were added to the original tables over time. ALTER TABLE can only add
+// nullable columns or ones with constant defaults, which all of these are.
+const LEGACY_COLUMNS = {
+  tasks: {
+    api_key_id: 'TEXT',
+    account_id: 'TEXT',
+    started_at: 'TEXT',
+    completed_at: 'TEXT',
+    cost: 'REAL DEFAULT 0',
+    error: 'TEXT',
+    provider: `TEXT DEFAULT 'custom'`,
+    metadata: `TEXT DEFAULT '{}'`,
+    model: 'TEXT',
+    prompt: 'TEXT',
+    completion: 'TEXT',
+    tokens_in: 'INTEGER DEFAULT 0',
+    tokens_out: 'INTEGER DEFAULT 0',
+    trace_id: 'TEXT',
+    parent_id: 'TEXT',
+    span_name: 'TEXT',
+    prompt_version: 'TEXT',
+    prompt_template_id: 'TEXT',
+    original_request: 'TEXT'
+  },
+  prompt_templates: {
+    api_key_id: 'TEXT',
+    account_id: 'TEXT',
+    variables: `TEXT DEFAULT '[]'`,
+    version: 'INTEGER DEFAULT 1',
+    is_active: 'INTEGER DEFAULT 1',
+    metrics: `TEXT DEFAULT '{}'`
+  },
+  api_keys: {
+    name: `TEXT DEFAULT 'Default'`,
+    last_used_at: 'TEXT'
+  },
+  accounts: {
+    last_seen_at: 'TEXT'
+  }
+};
+
+function addMissingColumns(db, table, columns) {
+  const existing = new Set(db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name));
+  const added = Object.keys(columns).filter(name => !existing.has(name));
+  added.forEach(name => db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${columns[name]}`));
+  return added;
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'core tables',
+    up: db => db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id TEXT PRIMARY KEY,
+        key TEXT UNIQUE NOT NULL,
+        name TEXT DEFAULT 'Default',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_used_at TEXT
+      );
+      
+      -- Account system based on provider key hashes
+      CREATE TABLE IF NOT EXISTS accounts (
+        id TEXT PRIMARY KEY,
+        key_hash TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TEXT
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_accounts_key_hash ON accounts(key_hash);
+      
+      CREATE TABLE IF NOT EXISTS tasks (
+        id TEXT PRIMARY KEY,
+        api_key_id TEXT,
+        account_id TEXT,
+        agent_name TEXT NOT NULL,
+        description TEXT NOT NULL,
+        status TEXT NOT NULL CHECK (status IN ('pending', 'running', 'success', 'failed', 'slow', 'blocked')),
+        started_at TEXT,
+        completed_at TEXT,
+        duration_ms INTEGER NOT NULL,
+        cost REAL DEFAULT 0,
+        error TEXT,
+        provider TEXT DEFAULT 'custom',
+        metadata TEXT DEFAULT '{}',
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        -- Full request/response logging
+        model TEXT,
+        prompt TEXT,
+        completion TEXT,
+        tokens_in INTEGER DEFAULT 0,
+        tokens_out INTEGER DEFAULT 0,
+        -- Trace support (parent-child relationships)
+        trace_id TEXT,
+        parent_id TEXT,
+        span_name TEXT,
+        -- Prompt versioning
+        prompt_version TEXT,
+        prompt_template_id TEXT,
+        -- Original request for replay
+        original_request TEXT
+      );
+      
+      -- Prompt templates for versioning
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id TEXT PRIMARY KEY,
+        api_key_id TEXT,
+        account_id TEXT,
+        name TEXT NOT NULL,
+        template TEXT NOT NULL,
+        variables TEXT DEFAULT '[]',
+        version INTEGER DEFAULT 1,
+        is_active INTEGER DEFAULT 1,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        metrics TEXT DEFAULT '{}'
+      );
+    `)
+  },
+  {
+    version: 2,
+    name: 'add columns missing from older databases',
+    up: db => {
+      for (const [table, columns] of Object.entries(LEGACY_COLUMNS)) {
+        const added = addMissingColumns(db, table, columns);
+        if (added.length > 0) console.log(`[DB] Added ${table} columns: ${added.join(', ')}`);
+      }
+      
+      // Indexes come after the columns they cover
+      db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_tasks_api_key ON tasks(api_key_id);
+        CREATE INDEX IF NOT EXISTS idx_tasks_account_id ON tasks(account_id);
+        CREATE INDEX IF NOT EXISTS idx_tasks_created_at ON tasks(created_at);
+        CREATE INDEX IF NOT EXISTS idx_tasks_trace_id ON tasks(trace_id);
+        CREATE INDEX IF NOT EXISTS idx_tasks_parent_id ON tasks(parent_id);
+        CREATE INDEX IF NOT EXISTS idx_prompt_templates_api_key ON prompt_templates(api_key_id);
+        CREATE INDEX IF NOT EXISTS idx_tasks_running ON tasks(status) WHERE status IN ('pending', 'running');
+      `);
+    }
+  },
+  {
+    version: 3,
+    name: `allow 'blocked' task status`,
+    // Databases created before 'blocked' existed have the old status CHECK. SQLite can't
+    // alter a constraint in place, so rebuild the table with the same columns.
+    up: db => {
+      const tasksTable = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'tasks'`).get();
+      if (tasksTable.sql.includes(`'blocked'`)) return;
+      
+      const columns = db.prepare('PRAGMA table_info(tasks)').all().map(c => c.name).join(', ');
+      const indexes = db.prepare(`SELECT sql FROM sqlite_master WHERE type = 'index' AND tbl_name = 'tasks' AND sql IS NOT NULL`).all();
+      
+      db.exec(tasksTable.sql
+        .replace(/CREATE TABLE\s+(IF NOT EXISTS\s+)?"?tasks"?/, 'CREATE TABLE tasks_new')
+        .replace(`'slow')`, `'slow', 'blocked')`));
+      db.exec(`INSERT INTO tasks_new (rowid, ${columns}) SELECT rowid, ${columns} FROM tasks`);
+      db.exec('DROP TABLE tasks');
+      db.exec('ALTER TABLE tasks_new RENAME TO tasks');
+      indexes.forEach(index => db.exec(index.sql));
+      console.log(`[DB] Rebuilt tasks table to allow 'blocked' status`);
+    }
+  },
+  {
+    version: 4,
+    name: 'fallback chains',
+    up: db => db.exec(`
+      -- Provider fallback chains for the proxy (one per account + primary model)
+      CREATE TABLE IF NOT EXISTS fallback_chains (
+        id TEXT PRIMARY KEY,
+        api_key_id TEXT,
+        account_id TEXT,
+        model TEXT NOT NULL,
+        fallbacks TEXT NOT NULL DEFAULT '[]',
+        retry_on TEXT DEFAULT '[429,500,502,503,504]',
+        timeout_ms INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_fallback_chains_account ON fallback_chains(account_id, model);
+    `)
+  },
+  {
+    version: 5,
+    name: 'response cache',
+    up: db => db.exec(`
+      -- Proxy response cache (opt-in per account or per request)
+      CREATE TABLE IF NOT EXISTS response_cache (
+        account_id TEXT NOT NULL,
+        cache_key TEXT NOT NULL,
+        endpoint TEXT NOT NULL,
+        model TEXT,
+        response TEXT NOT NULL,
+        completion TEXT,
+        source_task_id TEXT,
+        size_bytes INTEGER DEFAULT 0,
+        hit_count INTEGER DEFAULT 0,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        last_hit_at TEXT,
+        expires_at TEXT NOT NULL,
+        PRIMARY KEY (account_id, cache_key)
+      );
+      
+      CREATE TABLE IF NOT EXISTS cache_settings (
+        account_id TEXT PRIMARY KEY,
+        enabled INTEGER DEFAULT 0,
+        ttl_seconds INTEGER DEFAULT 86400,
+        max_entries INTEGER DEFAULT 1000,
+        deterministic_only INTEGER DEFAULT 1,
+        updated_at TEXT
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_response_cache_expires ON response_cache(account_id, expires_at);
+    `)
+  },
+  {
+    version: 6,
+    name: 'budgets',
+    up: db => db.exec(`
+      -- Spend budgets and rate limits enforced at the proxy
+      CREATE TABLE IF NOT EXISTS budgets (
+        id TEXT PRIMARY KEY,
+        api_key_id TEXT,
+        account_id TEXT,
+        scope TEXT NOT NULL CHECK (scope IN ('account', 'agent', 'model')),
+        scope_value TEXT,
+        metric TEXT NOT NULL CHECK (metric IN ('requests_per_minute', 'tokens_per_day', 'cost_per_month')),
+        limit_value REAL NOT NULL,
+        enforcement TEXT NOT NULL DEFAULT 'hard' CHECK (enforcement IN ('hard', 'soft')),
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_budgets_account ON budgets(account_id);
+    `)
+  },
+  {
+    version: 7,
+    name: 'responses api ids',
+    up: db => db.exec(`
+      -- OpenAI Responses API ids, so previous_response_id can continue the same trace
+      CREATE TABLE IF NOT EXISTS openai_responses (
+        id TEXT PRIMARY KEY,
+        account_id TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        trace_id TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+    `)
+  },
+  {
+    version: 8,
+    name: 'full-text search',
+    // External-content table (the text lives only in tasks) kept in sync by triggers,
+    // then indexed from scratch
+    up: db => {
+      db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS tasks_fts USING fts5(
+          description, prompt, completion, error,
+          content = 'tasks', content_rowid = 'rowid'
+        );
+        
+        CREATE TRIGGER IF NOT EXISTS tasks_fts_insert AFTER INSERT ON tasks BEGIN
+          INSERT INTO tasks_fts (rowid, description, prompt, completion, error)
+          VALUES (new.rowid, new.description, new.prompt, new.completion, new.error);
+        END;
+        
+        CREATE TRIGGER IF NOT EXISTS tasks_fts_delete AFTER DELETE ON tasks BEGIN
+          INSERT INTO tasks_fts (tasks_fts, rowid, description, prompt, completion, error)
+          VALUES ('delete', old.rowid, old.description, old.prompt, old.completion, old.error);
+        END;
+        
+        CREATE TRIGGER IF NOT EXISTS tasks_fts_update AFTER UPDATE OF description, prompt, completion, error ON tasks BEGIN
+          INSERT INTO tasks_fts (tasks_fts, rowid, description, prompt, completion, error)
+          VALUES ('delete', old.rowid, old.description, old.prompt, old.completion, old.error);
+          INSERT INTO tasks_fts (rowid, description, prompt, completion, error)
+          VALUES (new.rowid, new.description, new.prompt, new.completion, new.error);
+        END;
+      `);
+      db.exec(`INSERT INTO tasks_fts (tasks_fts) VALUES ('rebuild')`);
+    }
+  },
+  {
+    version: 9,
+    name: 'data retention',
+    up: db => db.exec(`
+      -- Per-account retention: strip payloads, then roll tasks up into daily metrics, then delete
+      CREATE TABLE IF NOT EXISTS retention_settings (
+        account_id TEXT PRIMARY KEY,
+        payload_days INTEGER,
+        metrics_days INTEGER,
+        delete_days INTEGER,
+        updated_at TEXT
+      );
+      
+      -- Daily aggregates of tasks removed by retention
+      CREATE TABLE IF NOT EXISTS task_rollups (
+        account_id TEXT NOT NULL,
+        day TEXT NOT NULL,
+        agent_name TEXT NOT NULL,
+        model TEXT NOT NULL DEFAULT '',
+        provider TEXT NOT NULL DEFAULT '',
+        status TEXT NOT NULL,
+        task_count INTEGER NOT NULL DEFAULT 0,
+        total_duration_ms INTEGER NOT NULL DEFAULT 0,
+        max_duration_ms INTEGER NOT NULL DEFAULT 0,
+        total_cost REAL NOT NULL DEFAULT 0,
+        tokens_in INTEGER NOT NULL DEFAULT 0,
+        tokens_out INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (account_id, day, agent_name, model, provider, status)
+      );
+    `)
+  },
+  {
+    version: 10,
+    name: 'otlp exporter',
+    up: db => db.exec(`
+      -- Per-account OTLP exporter; the triggers queue each task as it completes
+      CREATE TABLE IF NOT EXISTS otlp_exporters (
+        account_id TEXT PRIMARY KEY,
+        endpoint TEXT NOT NULL,
+        headers TEXT,
+        include_content INTEGER DEFAULT 0,
+        enabled INTEGER DEFAULT 1,
+        last_export_at TEXT,
+        last_error TEXT,
+        updated_at TEXT
+      );
+      
+      CREATE TABLE IF NOT EXISTS otlp_export_queue (
+        task_id TEXT PRIMARY KEY,
+        account_id TEXT NOT NULL,
+        queued_at TEXT DEFAULT CURRENT_TIMESTAMP
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_otlp_export_queue_account ON otlp_export_queue(account_id);
+      
+      CREATE TRIGGER IF NOT EXISTS tasks_otlp_insert AFTER INSERT ON tasks
+      WHEN new.status IN ('success', 'failed', 'slow') BEGIN
+        INSERT OR IGNORE INTO otlp_export_queue (task_id, account_id)
+        SELECT new.id, new.account_id FROM otlp_exporters WHERE account_id = new.account_id AND enabled = 1;
+      END;
+      
+      CREATE TRIGGER IF NOT EXISTS tasks_otlp_update AFTER UPDATE OF status ON tasks
+      WHEN new.status IN ('success', 'failed', 'slow') AND old.status NOT IN ('success', 'failed', 'slow') BEGIN
+        INSERT OR IGNORE INTO otlp_export_queue (task_id, account_id)
+        SELECT new.id, new.account_id FROM otlp_exporters WHERE account_id = new.account_id AND enabled = 1;
+      END;
+    `)
+  },
+  {
+    version: 11,
+    name: 'task events',
+    up: db => db.exec(`
+      -- Task lifecycle events behind /api/events. AUTOINCREMENT so pruned ids are never
+      -- reused, which keeps Last-Event-ID resumes correct.
+      CREATE TABLE IF NOT EXISTS task_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        account_id TEXT,
+        api_key_id TEXT,
+        type TEXT NOT NULL,
+        task_id TEXT NOT NULL,
+        agent_name TEXT,
+        trace_id TEXT,
+        status TEXT,
+        data TEXT NOT NULL,
+        created_at TEXT NOT NULL
+      );
+      
+      CREATE INDEX IF NOT EXISTS idx_task_events_created_at ON task_events(created_at);
+    `)
+  },
+  {
+    version: 12,
+    name: 'payload redaction',
+    up: db => db.exec(`
+      -- Per-account redaction of prompts, completions and original requests before storage.
+      -- hash_salt keys the HMAC behind hash-mode pseudonyms.
+      CREATE TABLE IF NOT EXISTS redaction_settings (
+        account_id TEXT PRIMARY KEY,
+        enabled INTEGER DEFAULT 0,
+        mode TEXT NOT NULL DEFAULT 'mask' CHECK (mode IN ('mask', 'hash', 'drop')),
+        detectors TEXT NOT NULL DEFAULT '[]',
+        custom_patterns TEXT NOT NULL DEFAULT '[]',
+        hash_salt TEXT NOT NULL,
+        updated_at TEXT
+      );
+    `)
+  },
+  {
+    version: 13,
+    name: 'payload encryption',
+    // Data keys for encryption.js. Encrypted payloads aren't searchable, so the FTS triggers
+    // index them as NULL rather than as base64 noise.
+    up: db => {
+      const plain = (row, column) => `CASE WHEN ${row}.${column} LIKE 'enc:v1:%' THEN NULL ELSE ${row}.${column} END`;
+      const values = row => `${row}.rowid, ${row}.description, ${['prompt', 'completion', 'error'].map(column => plain(row, column)).join(', ')}`;
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS data_keys (
+          id TEXT PRIMARY KEY,
+          account_id TEXT NOT NULL,
+          wrapped_key TEXT NOT NULL,
+          master_key_id TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'retired')),
+          created_at TEXT NOT NULL,
+          retired_at TEXT
+        );
+        CREATE INDEX IF NOT EXISTS idx_data_keys_account ON data_keys(account_id, status);
+        
+        DROP TRIGGER IF EXISTS tasks_fts_insert;
+        DROP TRIGGER IF EXISTS tasks_fts_delete;
+        DROP TRIGGER IF EXISTS tasks_fts_update;
+        
+        CREATE TRIGGER tasks_fts_insert AFTER INSERT ON tasks BEGIN
+          INSERT INTO tasks_fts (rowid, description, prompt, completion, error)
+          VALUES (${values('new')});
+        END;
+        
+        CREATE TRIGGER tasks_fts_delete AFTER DELETE ON tasks BEGIN
+          INSERT INTO tasks_fts (tasks_fts, rowid, description, prompt, completion, error)
+          VALUES ('delete', ${values('old')});
+        END;
+        
+        CREATE TRIGGER tasks_fts_update AFTER UPDATE OF description, prompt, completion, error ON tasks BEGIN
+          INSERT INTO tasks_fts (tasks_fts, rowid, description, prompt, completion, error)
+          VALUES ('delete', ${values('old')});
+          INSERT INTO tasks_fts (rowid, description, prompt, completion, error)
+          VALUES (${values('new')});
+        END;
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'workspaces',
+    // Every existing account becomes a one-key workspace with the same id, so the data it
+    // owns (scoped by account_id) needs no rewrite
+    up: db => {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS workspaces (
+          id TEXT PRIMARY KEY,
+          name TEXT,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+      addMissingColumns(db, 'accounts', { workspace_id: 'TEXT' });
+      db.exec(`
+        INSERT OR IGNORE INTO workspaces (id, created_at) SELECT id, created_at FROM accounts WHERE workspace_id IS NULL;
+        UPDATE accounts SET workspace_id = id WHERE workspace_id IS NULL;
+        CREATE INDEX IF NOT EXISTS idx_accounts_workspace ON accounts(workspace_id);
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'scoped api keys',
+    // AgentLog keys are stored as sha256 hashes from here on. account_id is the data the key
+    // acts on, so minted keys share their creator's data; existing keys keep their own
+    // with full access. Rows written before account_id existed get it backfilled.
+    up: db => {
+      db.exec(`
+        CREATE TABLE api_keys_new (
+          id TEXT PRIMARY KEY,
+          key_hash TEXT UNIQUE NOT NULL,
+          key_prefix TEXT,
+          name TEXT DEFAULT 'Default',
+          account_id TEXT,
+          scopes TEXT DEFAULT '["admin"]',
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+          last_used_at TEXT,
+          expires_at TEXT,
+          revoked_at TEXT,
+          request_count INTEGER DEFAULT 0
+        );
+      `);
+      const insert = db.prepare(`
+        INSERT INTO api_keys_new (id, key_hash, key_prefix, name, account_id, created_at, last_used_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `);
+      for (const row of db.prepare('SELECT * FROM api_keys').all()) {
+        const keyHash = crypto.createHash('sha256').update(row.key).digest('hex');
+        insert.run(row.id, keyHash, row.key.substring(0, 13), row.name, row.id, row.created_at, row.last_used_at);
+      }
+      db.exec(`
+        DROP TABLE api_keys;
+        ALTER TABLE api_keys_new RENAME TO api_keys;
+        CREATE INDEX IF NOT EXISTS idx_api_keys_account ON api_keys(account_id);
+        
+        UPDATE tasks SET account_id = api_key_id WHERE account_id IS NULL AND api_key_id IS NOT NULL;
+        UPDATE prompt_templates SET account_id = api_key_id WHERE account_id IS NULL AND api_key_id IS NOT NULL;
+        UPDATE fallback_chains SET account_id = api_key_id WHERE account_id IS NULL AND api_key_id IS NOT NULL;
+        UPDATE budgets SET account_id = api_key_id WHERE account_id IS NULL AND api_key_id IS NOT NULL;
+        UPDATE task_events SET account_id = api_key_id WHERE account_id IS NULL AND api_key_id IS NOT NULL;
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'provider key verification',
+    // When the provider last accepted the key. Existing accounts start unverified and are
+    // checked on their next request.
+    up: db => addMissingColumns(db, 'accounts', { verified_at: 'TEXT' })
+  },
+  {
+    version: 17,
+    name: 'unindexed ciphertext v2',
+    // Migration 13's triggers only recognise enc:v1: values, so enc:v2: ciphertext went into
+    // the index. 'rebuild' would read the raw columns back, so the index is cleared and
+    // refilled through the same guard as the triggers instead.
+    up: db => {
+      const plain = (row, column) => `CASE WHEN ${row}.${column} LIKE 'enc:v_:%' THEN NULL ELSE ${row}.${column} END`;
+      const values = row => `${row}.rowid, ${row}.description, ${['prompt', 'completion', 'error'].map(column => plain(row, column)).join(', ')}`;
+      db.exec(`
+        DROP TRIGGER IF EXISTS tasks_fts_insert;
+        DROP TRIGGER IF EXISTS tasks_fts_delete;
+        DROP TRIGGER IF EXISTS tasks_fts_update;
+        
+        CREATE TRIGGER tasks_fts_insert AFTER INSERT ON tasks BEGIN
+          INSERT INTO tasks_fts (rowid, description, prompt, completion, error)
+          VALUES (${values('new')});
+        END;
+        
+        CREATE TRIGGER tasks_fts_delete AFTER DELETE ON tasks BEGIN
+          INSERT INTO tasks_fts (tasks_fts, rowid, description, prompt, completion, error)
+          VALUES ('delete', ${values('old')});
+        END;
+        
+        CREATE TRIGGER tasks_fts_update AFTER UPDATE OF description, prompt, completion, error ON tasks BEGIN
+          INSERT INTO tasks_fts (tasks_fts, rowid, description, prompt, completion, error)
+          VALUES ('delete', ${values('old')});
+          INSERT INTO tasks_fts (rowid, description, prompt, completion, error)
+          VALUES (${values('new')});
+        END;
+        
+        INSERT INTO tasks_fts (tasks_fts) VALUES ('delete-all');
+        INSERT INTO tasks_fts (rowid, description, prompt, completion, error)
+        SELECT ${values('tasks')} FROM tasks;
+      `);
+    }
+  }
+];
+        
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+        
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+}
+
+function getSchemaVersion(db) {
+  ensureVersionTable(db);
+  return db.prepare('SELECT MAX(version) as version FROM schema_version').get().version || 0;
+}
+
+// Migrations with their applied_at, or null when pending
+function getMigrationStatus(db) {
+  ensureVersionTable(db);
+  const applied = new Map(db.prepare('SELECT version, applied_at FROM schema_version').all().map(row => [row.version, row.applied_at]));
+  return MIGRATIONS.map(m => ({ version: m.version, name: m.name, applied_at: applied.get(m.version) || null }));
+}
+
+// Apply pending migrations, each in its own transaction. A dry run applies them all inside
+// one transaction that is then rolled back, so problems show up without changing anything.
+function migrate(db, { dryRun = false } = {}) {
+  const current = getSchemaVersion(db);
+  if (current > LATEST_VERSION) {
+    throw new Error(`Database schema version ${current} is newer than this build (${LATEST_VERSION}). Upgrade AgentLog before starting it.`);
+  }
+  
+  const pending = MIGRATIONS.filter(m => m.version > current);
+  const recordVersion = db.prepare('INSERT INTO schema_version (version, name, applied_at) VALUES (?, ?, ?)');
+  const applyOne = db.transaction(migration => {
+    migration.up(db);
+    recordVersion.run(migration.version, migration.name, new Date().toISOString());
+  });
+  const applyAll = () => pending.forEach(migration => {
+    applyOne(migration);
+    console.log(`[DB] ${dryRun ? 'Checked' : 'Applied'} migration ${migration.version}: ${migration.name}`);
+  });
+  
+  if (dryRun) {
+    const rollback = new Error('dry run');
+    try {
+      db.transaction(() => {
+        applyAll();
+        throw rollback;
+      })();
+    } catch (error) {
+      if (error !== rollback) throw error;
+    }
+  } else {
+    applyAll();
+  }
+  
+  return { from: current, to: dryRun ? current : LATEST_VERSION, applied: pending.map(m => m.version) };
+}
+
+module.exports = { MIGRATIONS, LATEST_VERSION, getSchemaVersion, getMigrationStatus, migrate };
+
+// CLI: node migrations.js [status | up | up --dry-run]
+if (require.main === module) {
+  const [command = 'status', ...flags] = process.argv.slice(2);
+  const dbPath = process.env.DATABASE_PATH || './agentlog.db';
+  
+  if (!['status', 'up'].includes(command)) {
+    console.error('Usage: node migrations.js [status | up [--dry-run]]');
+    process.exit(1);
+  }
+  
+  const dryRun = flags.includes('--dry-run');
+  let db;
+  try {
+    // Only a real upgrade may create the database file
+    db = new Database(dbPath, { fileMustExist: command !== 'up' || dryRun });
+  } catch (error) {
+    console.error(`Cannot open ${dbPath}: ${error.message}`);
+    process.exit(1);
+  }
+  
+  try {
+    if (command === 'status') {
+      const status = getMigrationStatus(db);
+      console.log(`Database: ${dbPath}`);
+      console.log(`Schema version: ${getSchemaVersion(db)} (latest ${LATEST_VERSION})`);
+      status.forEach(m => console.log(`  ${String(m.version).padStart(3)}  ${m.applied_at ? `applied ${m.applied_at}` : 'pending'.padEnd(32)}  ${m.name}`));
+    } else {
+      const result = migrate(db, { dryRun });
+      if (result.applied.length === 0) console.log(`Schema is up to date (version ${result.from})`);
+      else if (dryRun) console.log(`Dry run: ${result.applied.length} migrations would apply cleanly; nothing was changed`);
+      else console.log(`Migrated from version ${result.from} to ${result.to}`);
+    }
+  } catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    db.close();
+  }
+}